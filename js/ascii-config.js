@@ -0,0 +1,117 @@
+/**
+ * Settings for the ASCII butterfly, shared by the page side
+ * (ascii-renderer.js) and the scene (ascii-scene.js), which may be running
+ * in a worker
+ */
+
+export const CONFIG = {
+  // Tribute to Jan Barcz — phrases cycle through the brightness gradient
+  characters: " Jan Barcz I miss you mom I'll always love you Jan Barcz I miss you mom I'll always love you",
+
+  // The grid spans this fraction of #ascii-model in cells of the canvas's
+  // CSS font. The model renders offscreen at cellSamples pixels per cell
+  // row, in the grid's own aspect, capped at maxRenderSize on either side.
+  gridCoverage: 1.0,
+  cellSamples: 6,
+  maxRenderSize: 2048,
+
+  // Edge-aware glyphs: cells on a silhouette or crease (found in the
+  // coverage, brightness, depth and normals) get a directional glyph instead
+  // of a ramp character. edgeCharacters are horizontal, rising, vertical,
+  // falling, then the one for a horizontal edge with the shape above it.
+  edges: false,
+  edgeCharacters: '-/|\\_',
+  edgeThreshold: 0.35,
+
+  // Glyph color. 'mono' draws every glyph in the canvas's CSS color; 'full'
+  // keeps each cell's average color (and the model's own materials);
+  // 'palette' snaps that color to the nearest entry of `palette`; 'depth'
+  // tints from depthColors[0] at the nearest point of the model to
+  // depthColors[1] at the farthest
+  colorMode: 'mono',
+  palette: ['#003d1d', '#00753a', '#00b354', '#00e86e', '#7dffb5'],
+  depthColors: ['#7dffb5', '#00592c'],
+
+  // One scene per page section, shown while that section crosses the middle
+  // of the viewport. `clip` names the animation to loop (else the first);
+  // `view` overrides any of the camera, flight and wander settings below.
+  // Only the butterfly ships with the site so far, so every scene frames it
+  // differently; each can name its own GLB.
+  scenes: [
+    { section: 'hero', model: 'glb/butterfly-draco.glb', clip: 'hover' },
+    { section: 'about', model: 'glb/butterfly-draco.glb', clip: 'hover',
+      view: { heightResting: 0.45, distanceResting: 0.85, wanderAmplitudeX: 0.5 } },
+    { section: 'work', model: 'glb/butterfly-draco.glb', clip: 'hover',
+      view: { baseDistance: 2.6, heightResting: -0.3, orbitSpeedResting: 0.04 } },
+    { section: 'skills', model: 'glb/butterfly-draco.glb', clip: 'hover',
+      view: { cameraFov: 50, distanceResting: 0.7, heightResting: 0.2 } },
+    { section: 'contact', model: 'glb/butterfly-draco.glb', clip: 'hover',
+      view: { heightResting: 0.8, wanderAmplitudeY: 0.3, flapSpeedResting: 0.3 } },
+  ],
+  // Seconds for a scene change, half dissolving out and half back in, and
+  // how far ahead of the dropout cells flicker through random glyphs
+  transitionTime: 1.2,
+  transitionScramble: 0.12,
+
+  // The Draco decoder is served by the site itself — see vendor/draco/
+  dracoPath: 'vendor/draco/',
+  cameraFov: 35,
+  baseDistance: 2.0,
+
+  flapSpeedFlying: 1.3,
+  flapSpeedResting: 0.12,
+  flightRampUp: 0.06,
+  flightRampDown: 0.008,
+  mouseStillDelay: 600,
+
+  orbitSpeedFlying: 0.35,
+  orbitSpeedResting: 0.015,
+  distanceFlying: 0.6,
+  distanceResting: 1.1,
+  heightFlying: 0.15,
+  heightResting: 0.0,
+  cameraSmoothing: 0.025,
+
+  wanderAmplitudeX: 0.8,
+  wanderAmplitudeY: 0.5,
+  wanderSpeedFlying: 0.35,
+  wanderSpeedResting: 0.05,
+  wanderSmoothing: 0.02,
+
+  // Pointer steering, in the same offset units as the wander. While a mouse,
+  // pen or touch point is in play the butterfly is drawn toward it
+  // ('attract'), or darts clear once it comes within avoidRadius ('avoid').
+  // steerTimeout ms after the last input it eases back into the wander.
+  steerMode: 'attract',
+  steerRamp: 0.03,
+  steerSmoothing: 0.04,
+  steerTimeout: 2500,
+  steerLimitX: 1.2,
+  steerLimitY: 0.9,
+  avoidRadius: 0.5,
+
+  // A click or tap that hits the model startles it: full flight, a spin of
+  // the camera orbit and an upward hop fading out over startleTime seconds,
+  // plus a ring of splats in the fluid
+  startleTime: 1.5,
+  startleSpin: 4.0,
+  startleHop: 0.4,
+  startleBurst: 0.01,
+
+  // Fluid coupling (window.Fluid from fluid.js): a faint wake along the
+  // flight path plus a downward push on every wing beat
+  wakeInterval: 0.05,
+  wakeStrength: 1.5,
+  wakeColor: [0.0, 0.05, 0.025],
+  beatStrengthResting: 0.0005,
+  beatStrengthFlying: 0.004,
+  beatColorResting: [0.0, 0.04, 0.02],
+  beatColorFlying: [0.0, 0.16, 0.08],
+
+  // Render in a module worker through OffscreenCanvas where the browser
+  // supports WebGL there; otherwise the scene runs on the main thread
+  useWorker: true,
+
+  // How long to wait for a lost WebGL context before giving up on it
+  restoreTimeout: 5000,
+};
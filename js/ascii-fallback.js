@@ -0,0 +1,49 @@
+/**
+ * A pre-rendered frame of the ASCII butterfly, which ascii-renderer.js shows
+ * in place of the live one when the model, its decoder or WebGL can't be
+ * loaded. Drawn offline from Fay's butterfly curve through the same
+ * character ramp as CONFIG.characters.
+ */
+
+// The rows sit between the two lines holding the backticks
+export const FALLBACK_FRAME = `
+             lawaayawll                                              llwayaawal
+           lwsloveeeeevlsw'                                      'wslveeeeevolswl
+           a veyouu    uo vlw                                  wlv ou    uuoyev a
+         'w v o Jann   nnaJuyvym                            myvyuJann   nnaJ o v w'
+         lyo o an BaarrrraaBnJues                          seuJnBaarrrraaB na o oyl
+         lsoyuJn arcczz  zzccaBauey                      yeuaBacczz  zzccra nJuyosl
+         Iyoyua Brcz II    II zrBnuv                    vunBrz II    II zcrB auyoyI
+          wl ua arz I mmiiiiim I caays                syaac I miiiiimm I zra au lw
+          'seoJnarz  miisssssssim  cB v              v Bc  misssssssiim  zranJoes'
+           al  nBrz  misss      ssi  ra              ar  iss      sssim  zrBn  la
+            loyJ ac  miss yyooooyy si c oa        ao c is yyooooyy ssim  ca Jyol
+             wooa rzImiss youuuuuuoy sm Bus      suB ms youuuuuuoy ssimIzr aoow
+              looaBr  mss you       uy iIa        aIi yu       uoy ssm  rBaool
+               llyJBc  is you mmmmmmm uys rJvwwvJr syu mmmmmmm uoy si  cBJyll
+                 y   r  is ou mmoooooom os raooar so moooooomm uo si  r   y
+                  'oonaz isyou mommmmmmo os c  c so ommmmmmom uoysi zanoo'
+                    ae BcIisyoumoom    mmmu mzzm ummm    moomuoysiIcB ea
+                      l Jaz s oumom  III mou ii uom III  momuo s zaJ l
+                        leaa msyumom IIIII ou  uo IIIII momuysm aael
+                             a i o om II''I ouuo I''II mo o i a
+                              vnzm omo I'''' oo ''''I omo mznv
+                                  n sommI''l'  'l''Immos n
+                                      rsumI'l''l'Imusr
+                                            ollo
+                                         zumImmIm iy
+                                     yzso oo    oomu   s
+                                  v  isyuuuyl  oyu uo sIr y
+                               ' ncIms  y s     asyyy si zaJv
+                              eJBc  missi        B ssssimIzrnuo
+                           IloaBrz I   Ica        nz  m  I ca   s
+                          avoJnBrczzzzcBo           ac   zzcaBn yol
+                         yvy anBaaaaa Je            ynBrrrraa nJu oa
+                       Iao o Jann naJys              luan    naJuoela
+                       w o you    uyol                weo JJJJJ uy o w
+                       a ov yyyy elw                    sv oooooy eo a
+                       as lovvolsw                       lslveeeevolsaa
+                      llwyyssyw                            lws ll  syw I
+                       'l   l                                  lwwwwl l
+                                                                  ''I
+`.slice(1, -1);
@@ -1,292 +1,496 @@
-import * as THREE from 'three';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
-
-const CONFIG = {
-  // Tribute to Jan Barcz — phrases cycle through the brightness gradient
-  characters: " Jan Barcz I miss you mom I'll always love you Jan Barcz I miss you mom I'll always love you",
-  cellSize: 6,
-  modelPath: 'glb/butterfly-draco.glb',
-  renderWidth: 960,
-  renderHeight: 540,
-  cameraFov: 35,
-  baseDistance: 2.0,
-
-  flapSpeedFlying: 1.3,
-  flapSpeedResting: 0.12,
-  flightRampUp: 0.06,
-  flightRampDown: 0.008,
-  mouseStillDelay: 600,
-
-  orbitSpeedFlying: 0.35,
-  orbitSpeedResting: 0.015,
-  distanceFlying: 0.6,
-  distanceResting: 1.1,
-  heightFlying: 0.15,
-  heightResting: 0.0,
-  cameraSmoothing: 0.025,
-
-  wanderAmplitudeX: 0.8,
-  wanderAmplitudeY: 0.5,
-  wanderSpeedFlying: 0.35,
-  wanderSpeedResting: 0.05,
-  wanderSmoothing: 0.02,
-};
+/**
+ * ASCII butterfly — page side
+ *
+ * The scene itself (ascii-scene.js) renders in a module worker on an
+ * OffscreenCanvas where the browser supports WebGL there, and on the main
+ * thread otherwise. Either way this side does the DOM work: it lays out the
+ * glyph grid from the canvas's CSS font; forwards input activity, the
+ * pointer, clicks and taps, and the section in view (which picks the scene
+ * from CONFIG.scenes); and on every finished frame moves the canvas and
+ * stirs the fluid to match.
+ * Until the first frame it shows the model's download progress, and if the
+ * model never arrives, a pre-rendered frame (ascii-fallback.js).
+ */
+
+import { CONFIG } from './ascii-config.js';
+import { FALLBACK_FRAME } from './ascii-fallback.js';
+
+// Seeded, fixed-timestep mode (?seed=) — see deterministic.js
+const deterministic = window.Deterministic || { enabled: false, frameLimit: 0 };
 
 const container = document.getElementById('ascii-model');
-const asciiPre = document.getElementById('ascii-art');
-if (!container || !asciiPre) throw new Error('ASCII container not found');
+let asciiCanvas = document.getElementById('ascii-art');
+if (!container || !asciiCanvas) throw new Error('ASCII container not found');
 
-const offscreen = document.createElement('canvas');
-offscreen.width = CONFIG.renderWidth;
-offscreen.height = CONFIG.renderHeight;
+if (deterministic.enabled) deterministic.register('ascii');
 
-const renderer = new THREE.WebGLRenderer({
-  canvas: offscreen,
-  antialias: false,
-  alpha: true,
-});
-renderer.setSize(CONFIG.renderWidth, CONFIG.renderHeight);
-renderer.setClearColor(0x000000, 0);
-renderer.outputColorSpace = THREE.LinearSRGBColorSpace;
-
-const scene = new THREE.Scene();
-
-const camera = new THREE.PerspectiveCamera(
-  CONFIG.cameraFov,
-  CONFIG.renderWidth / CONFIG.renderHeight,
-  0.01,
-  500
-);
-
-scene.add(new THREE.AmbientLight(0xffffff, 0.7));
-
-const keyLight = new THREE.DirectionalLight(0xffffff, 1.5);
-keyLight.position.set(3, 5, 4);
-scene.add(keyLight);
-
-const fillLight = new THREE.DirectionalLight(0xffffff, 0.5);
-fillLight.position.set(-3, 2, -2);
-scene.add(fillLight);
-
-const rimLight = new THREE.DirectionalLight(0xffffff, 0.6);
-rimLight.position.set(0, 3, -6);
-scene.add(rimLight);
-
-let mixer = null;
-let hoverAction = null;
-let modelCenter = new THREE.Vector3();
-let orbitRadius = 1;
-let loaded = false;
-
-// Flight state: 0 = resting, 1 = flying
-let flight = 0;
-let mouseMoving = false;
-let mouseTimer = null;
-
-// Camera state
-let orbitAngle = 0;
-let currentDistance = CONFIG.distanceResting;
-let currentHeight = CONFIG.heightResting;
-
-// Wander state — makes the butterfly drift around the viewport
-let wanderTime = 0;
+// Resolved here: a worker would resolve them against its own script
+const scenes = CONFIG.scenes.map((entry) =>
+  Object.assign({}, entry, { model: new URL(entry.model, document.baseURI).href }));
+const decoderUrl = new URL(CONFIG.dracoPath, document.baseURI).href;
+
+// The scene runs wherever `host` puts it; null until one has started
+let host = null;
+
+// Mirrors the scene's last frame
 let currentOffsetX = 0;
 let currentOffsetY = 0;
 
-const readCtx = (() => {
-  const c = document.createElement('canvas');
-  c.width = CONFIG.renderWidth;
-  c.height = CONFIG.renderHeight;
-  return c.getContext('2d', { willReadFrequently: true });
-})();
-
-const dracoLoader = new DRACOLoader();
-dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.7/');
-dracoLoader.setDecoderConfig({ type: 'js' });
-
-const loader = new GLTFLoader();
-loader.setDRACOLoader(dracoLoader);
-
-loader.load(
-  CONFIG.modelPath,
-  (gltf) => {
-    const model = gltf.scene;
-
-    model.traverse((child) => {
-      if (child.isMesh) {
-        child.material = new THREE.MeshStandardMaterial({
-          color: 0xcccccc,
-          roughness: 0.5,
-          metalness: 0.05,
-          side: THREE.DoubleSide,
-        });
-      }
-    });
-
-    const box = new THREE.Box3().setFromObject(model);
-    modelCenter = box.getCenter(new THREE.Vector3());
-    const size = box.getSize(new THREE.Vector3());
-    const maxDim = Math.max(size.x, size.y, size.z);
-
-    orbitRadius = maxDim * CONFIG.baseDistance;
-
-    scene.add(model);
-
-    if (gltf.animations && gltf.animations.length > 0) {
-      mixer = new THREE.AnimationMixer(model);
-
-      const hoverClip = gltf.animations.find(c => c.name === 'hover') || gltf.animations[0];
-      hoverAction = mixer.clipAction(hoverClip);
-      hoverAction.play();
-      hoverAction.loop = THREE.LoopRepeat;
-      hoverAction.timeScale = CONFIG.flapSpeedResting;
-    }
+// Fluid coupling state
+let wakeTimer = 0;
+let lastFlapPhase = 0;
+let lastScreenX = null;
+let lastScreenY = null;
 
-    loaded = true;
-    dracoLoader.dispose();
-    updateCamera();
-    animate();
-  },
-  undefined,
-  (err) => console.error('Failed to load model:', err)
-);
-
-function updateCamera() {
-  const r = orbitRadius * currentDistance;
-
-  camera.position.set(
-    modelCenter.x + r * Math.sin(orbitAngle),
-    modelCenter.y + orbitRadius * currentHeight,
-    modelCenter.z + r * Math.cos(orbitAngle)
-  );
-  camera.lookAt(modelCenter);
+// window.AsciiArt.onFrame subscribers
+const frameListeners = [];
+
+function lerp(a, b, t) { return a + (b - a) * t; }
+
+function settle() {
+  if (deterministic.enabled) deterministic.settle('ascii');
+}
+
+// Only plain data crosses into a worker
+function sceneOptions() {
+  return {
+    scenes,
+    initialScene: currentScene,
+    decoderUrl,
+    deterministic: {
+      enabled: deterministic.enabled,
+      frameLimit: deterministic.frameLimit,
+      FIXED_DT: deterministic.FIXED_DT,
+    },
+  };
+}
+
+// ─── Layout ───────────────────────────────────────────────────
+
+// Cell size comes from the canvas's own CSS font (font-size and
+// line-height, which the stylesheet varies by viewport) at device
+// resolution, so glyphs land on whole pixels; the grid then takes as many
+// cells as fit the container. The glyph atlas is drawn here too, since only
+// the page has the web font loaded.
+function measureLayout() {
+  const style = getComputedStyle(asciiCanvas);
+  const fontSize = parseFloat(style.fontSize);
+  const lineHeight = parseFloat(style.lineHeight) || fontSize;
+  const dpr = Math.min(window.devicePixelRatio || 1, 2);
+  const font = style.fontWeight + ' ' + (fontSize * dpr) + 'px ' + style.fontFamily;
+
+  const glyphs = document.createElement('canvas');
+  const ctx = glyphs.getContext('2d');
+  ctx.font = font;
+  const cellWidth = Math.max(1, Math.round(ctx.measureText('M').width));
+  const cellHeight = Math.max(1, Math.round(lineHeight * dpr));
+
+  // The ramp, then the edge glyphs after it
+  const chars = CONFIG.characters + CONFIG.edgeCharacters;
+  glyphs.width = cellWidth * chars.length;
+  glyphs.height = cellHeight;
+  // Resizing reset the context
+  ctx.font = font;
+  ctx.fillStyle = '#fff';
+  ctx.textBaseline = 'middle';
+  for (let i = 0; i < chars.length; i++) {
+    ctx.fillText(chars[i], i * cellWidth, cellHeight / 2);
+  }
+
+  const box = container.getBoundingClientRect();
+  const width = box.width * CONFIG.gridCoverage;
+  const height = box.height * CONFIG.gridCoverage;
+  const cols = Math.max(1, Math.floor(width * dpr / cellWidth));
+  const rows = Math.max(1, Math.floor(height * dpr / cellHeight));
+
+  asciiCanvas.style.width = (cols * cellWidth / dpr) + 'px';
+  asciiCanvas.style.height = (rows * cellHeight / dpr) + 'px';
+
+  return { glyphs, cols, rows, cellWidth, cellHeight, color: style.color };
+}
+
+// CSS hides the container on small screens; the scene pauses rather than
+// render a grid nobody sees, and a seeded run doesn't wait on it
+function updateLayout() {
+  if (!host) return;
+  const box = container.getBoundingClientRect();
+  if (box.width === 0 || box.height === 0) {
+    host.pause(true);
+    settle();
+    return;
+  }
+  host.pause(false);
+  host.layout(measureLayout());
 }
 
-function updatePrePosition() {
+// Resizes arrive from both the observer and the window; one layout per frame
+let relayoutFrame = 0;
+
+function relayout() {
+  cancelAnimationFrame(relayoutFrame);
+  relayoutFrame = requestAnimationFrame(updateLayout);
+}
+
+if (document.fonts) document.fonts.ready.then(relayout);
+if (typeof ResizeObserver === 'function') {
+  new ResizeObserver(relayout).observe(container);
+}
+// A zoom changes devicePixelRatio without resizing the container
+window.addEventListener('resize', relayout);
+
+// ─── Loading State ────────────────────────────────────────────
+// A <pre> over the canvas holds the download progress until the first
+// frame, or the static frame for good once the live one is out of reach.
+
+const PROGRESS_WIDTH = 24;
+
+let statusEl = null;
+
+function showStatus(text, className) {
+  if (!statusEl) {
+    statusEl = document.createElement('pre');
+    statusEl.id = 'ascii-status';
+    statusEl.setAttribute('aria-hidden', 'true');
+    container.appendChild(statusEl);
+  }
+  statusEl.className = className || '';
+  statusEl.textContent = text;
+}
+
+function hideStatus() {
+  if (!statusEl) return;
+  statusEl.remove();
+  statusEl = null;
+}
+
+// `total` is 0 when the server sends no Content-Length
+function showProgress(loaded, total) {
+  if (total > 0) {
+    const fraction = Math.min(1, loaded / total);
+    const filled = Math.round(fraction * PROGRESS_WIDTH);
+    showStatus('[' + '#'.repeat(filled) + '.'.repeat(PROGRESS_WIDTH - filled) + '] ' +
+      Math.round(fraction * 100) + '%');
+  } else {
+    showStatus('loading ' + Math.round(loaded / 1024) + ' KB');
+  }
+}
+
+function giveUp(message, err) {
+  console.error(message, err);
+  // A halted scene may have left a blank or half-drawn frame behind
+  asciiCanvas.style.visibility = 'hidden';
+  showStatus(FALLBACK_FRAME, 'is-fallback');
+  settle();
+}
+
+showProgress(0, 1);
+
+// ─── Frames ───────────────────────────────────────────────────
+
+function updateArtPosition() {
   const tx = currentOffsetX * 35;
   const ty = currentOffsetY * -30 + 5;
-  asciiPre.style.transform =
+  asciiCanvas.style.transform =
     'translate(' + tx.toFixed(1) + 'vw, ' + ty.toFixed(1) + 'vh)';
 }
 
-function renderToAscii() {
-  renderer.render(scene, camera);
-
-  readCtx.clearRect(0, 0, CONFIG.renderWidth, CONFIG.renderHeight);
-  readCtx.drawImage(offscreen, 0, 0);
-
-  const cell = CONFIG.cellSize;
-  const cols = Math.floor(CONFIG.renderWidth / cell);
-  const rows = Math.floor(CONFIG.renderHeight / cell);
-  const chars = CONFIG.characters;
-  const maxIdx = chars.length - 1;
-
-  const imageData = readCtx.getImageData(0, 0, CONFIG.renderWidth, CONFIG.renderHeight);
-  const pixels = imageData.data;
-  const w = CONFIG.renderWidth;
-
-  const lines = new Array(rows);
-
-  for (let row = 0; row < rows; row++) {
-    let line = '';
-    for (let col = 0; col < cols; col++) {
-      let totalBrightness = 0;
-      let totalAlpha = 0;
-      let sampleCount = 0;
-
-      const startX = col * cell;
-      const startY = row * cell;
-
-      for (let dy = 0; dy < cell; dy += 2) {
-        for (let dx = 0; dx < cell; dx += 2) {
-          const px = startX + dx;
-          const py = startY + dy;
-          const idx = (py * w + px) * 4;
-          totalBrightness += (0.299 * pixels[idx] + 0.587 * pixels[idx + 1] + 0.114 * pixels[idx + 2]);
-          totalAlpha += pixels[idx + 3];
-          sampleCount++;
-        }
-      }
-
-      const avgAlpha = totalAlpha / sampleCount;
-
-      if (avgAlpha < 10) {
-        line += ' ';
-      } else {
-        const normalized = (totalBrightness / sampleCount / 255) * (avgAlpha / 255);
-        const charIndex = Math.min(maxIdx, Math.floor(normalized * maxIdx));
-        line += chars[charIndex];
-      }
-    }
-    lines[row] = line;
+function screenPosition() {
+  // #ascii-model centres the canvas, which updateArtPosition() then offsets
+  // in vw/vh — so the butterfly sits at the viewport centre plus that offset.
+  return {
+    x: 0.5 + (currentOffsetX * 35) / 100,
+    y: 0.5 + (currentOffsetY * -30 + 5) / 100,
+  };
+}
+
+function stirFluid(state) {
+  const fluid = window.Fluid;
+  if (!fluid || state.flapPhase === null) return;
+
+  // The butterfly starts whenever its model arrives, which would make its
+  // splats land on different fluid frames from run to run
+  if (deterministic.enabled) return;
+
+  // Hidden on small screens by CSS; an invisible butterfly shouldn't leave a wake
+  if (asciiCanvas.offsetWidth === 0) return;
+
+  const pos = screenPosition();
+  if (lastScreenX === null) {
+    lastScreenX = pos.x;
+    lastScreenY = pos.y;
   }
 
-  asciiPre.textContent = lines.join('\n');
+  wakeTimer += state.delta;
+  if (wakeTimer >= CONFIG.wakeInterval) {
+    wakeTimer = 0;
+    const dx = (pos.x - lastScreenX) * CONFIG.wakeStrength;
+    const dy = (pos.y - lastScreenY) * CONFIG.wakeStrength;
+    fluid.splat(pos.x, pos.y, dx, dy, CONFIG.wakeColor);
+    lastScreenX = pos.x;
+    lastScreenY = pos.y;
+  }
+
+  // A wing beat is one loop of the flap clip; the phase wrapping marks it
+  if (state.flapPhase < lastFlapPhase) {
+    const strength = lerp(CONFIG.beatStrengthResting, CONFIG.beatStrengthFlying, state.flight);
+    const color = [0, 1, 2].map(i => lerp(CONFIG.beatColorResting[i], CONFIG.beatColorFlying[i], state.flight));
+    fluid.splat(pos.x, pos.y, 0, strength, color);
+  }
+  lastFlapPhase = state.flapPhase;
+
+  // A tap on the butterfly blows a ring out of the fluid around it
+  if (state.startled) {
+    for (let i = 0; i < 6; i++) {
+      const angle = (i / 6) * Math.PI * 2;
+      fluid.splat(pos.x, pos.y,
+        Math.cos(angle) * CONFIG.startleBurst, Math.sin(angle) * CONFIG.startleBurst,
+        CONFIG.beatColorFlying);
+    }
+  }
 }
 
-const clock = new THREE.Clock();
+function onFrame(state) {
+  hideStatus();
+  currentOffsetX = state.offsetX;
+  currentOffsetY = state.offsetY;
+  updateArtPosition();
+  stirFluid(state);
 
-function lerp(a, b, t) { return a + (b - a) * t; }
+  // Right after the draw, while a main-thread canvas still holds the frame
+  for (let i = 0; i < frameListeners.length; i++) {
+    frameListeners[i](asciiCanvas);
+  }
+}
 
-function animate() {
-  if (!loaded) return;
-  requestAnimationFrame(animate);
+// Like Fluid.onFrame: fn(canvas) after every frame, for anything that reads
+// the canvas back (the session recorder). The canvas can be swapped for a
+// fresh one if the worker fails, so it's passed each time.
+window.AsciiArt = {
+  onFrame(fn) {
+    frameListeners.push(fn);
+    return () => {
+      const i = frameListeners.indexOf(fn);
+      if (i !== -1) frameListeners.splice(i, 1);
+    };
+  },
+};
 
-  const delta = clock.getDelta();
+// ─── Scene Playlist ───────────────────────────────────────────
+// The section under the middle of the viewport picks the scene
 
-  // Ramp flight up quickly when mouse moves, down slowly when it stops
-  if (mouseMoving) {
-    flight += (1 - flight) * CONFIG.flightRampUp;
-  } else {
-    flight += (0 - flight) * CONFIG.flightRampDown;
+const sceneSections = CONFIG.scenes.map((entry) => document.getElementById(entry.section));
+
+function sectionInView() {
+  const middle = window.innerHeight / 2;
+  for (let i = 0; i < sceneSections.length; i++) {
+    const section = sceneSections[i];
+    if (!section) continue;
+    const rect = section.getBoundingClientRect();
+    if (rect.top <= middle && rect.bottom > middle) return i;
   }
-  flight = Math.max(0, Math.min(1, flight));
+  return -1;
+}
 
-  // Wing flap speed: fast when flying, slow breathing when resting
-  if (hoverAction) {
-    const targetSpeed = lerp(CONFIG.flapSpeedResting, CONFIG.flapSpeedFlying, flight);
-    hoverAction.timeScale = targetSpeed;
+let currentScene = Math.max(0, sectionInView());
+
+// The root shrinks to a line across the middle of the viewport, so sections
+// report as they cross it
+const sceneObserver = new IntersectionObserver(() => {
+  const index = sectionInView();
+  if (index < 0 || index === currentScene) return;
+  currentScene = index;
+  if (host) host.setScene(index);
+}, { rootMargin: '-50% 0px -50% 0px' });
+
+sceneSections.forEach((section) => {
+  if (section) sceneObserver.observe(section);
+});
+
+// ─── Worker Host ──────────────────────────────────────────────
+
+function supportsOffscreenWebGL() {
+  if (typeof OffscreenCanvas !== 'function') return false;
+  if (!('transferControlToOffscreen' in HTMLCanvasElement.prototype)) return false;
+  try {
+    const probe = new OffscreenCanvas(1, 1);
+    const gl = probe.getContext('webgl2') || probe.getContext('webgl');
+    if (!gl) return false;
+    const lose = gl.getExtension('WEBGL_lose_context');
+    if (lose) lose.loseContext();
+    return true;
+  } catch (err) {
+    return false;
   }
+}
 
-  if (mixer) {
-    mixer.update(delta);
+// Mouse movement is a steady stream; the scene only needs to hear often
+// enough that its still-timer never runs out mid-gesture
+const ACTIVITY_INTERVAL = 100;
+
+function startWorker() {
+  const worker = new Worker(new URL('./ascii-worker.js', import.meta.url), { type: 'module' });
+  const offscreen = asciiCanvas.transferControlToOffscreen();
+  let lastActivity = -Infinity;
+  let failed = false;
+
+  // Anything the worker can't do (a WebGL context it can't create, or a
+  // module it can't import) is retried on the main thread. The transferred
+  // canvas can't be drawn from here again, so a fresh one takes its place.
+  // A model that didn't load wouldn't load there either, so a load-error
+  // gives up straight away instead.
+  function fail(message) {
+    if (failed) return;
+    failed = true;
+    worker.terminate();
+    console.warn('ASCII worker failed, rendering on the main thread:', message);
+
+    const fresh = asciiCanvas.cloneNode(false);
+    asciiCanvas.replaceWith(fresh);
+    asciiCanvas = fresh;
+    updateArtPosition();
+    startMainThread();
   }
 
-  // Camera orbit
-  const orbitSpeed = lerp(CONFIG.orbitSpeedResting, CONFIG.orbitSpeedFlying, flight);
-  orbitAngle += orbitSpeed * delta;
+  worker.addEventListener('message', (e) => {
+    const msg = e.data;
+    if (failed) return;
+    if (msg.type === 'frame') onFrame(msg.state);
+    else if (msg.type === 'progress') showProgress(msg.loaded, msg.total);
+    else if (msg.type === 'settled') settle();
+    else if (msg.type === 'halted') giveUp('ASCII renderer halted:', msg.message);
+    else if (msg.type === 'load-error') giveUp('Failed to load model:', msg.message);
+    else if (msg.type === 'error') fail(msg.message);
+  });
+  worker.addEventListener('error', (e) => {
+    e.preventDefault();
+    fail(e.message);
+  });
+
+  worker.postMessage(Object.assign({ type: 'init', canvas: offscreen }, sceneOptions()), [offscreen]);
+
+  host = {
+    layout(layout) {
+      createImageBitmap(layout.glyphs).then((bitmap) => {
+        if (failed) return;
+        layout.glyphs = bitmap;
+        worker.postMessage({ type: 'layout', layout }, [bitmap]);
+      });
+    },
+    pause(paused) {
+      worker.postMessage({ type: 'paused', paused });
+    },
+    setScene(index) {
+      worker.postMessage({ type: 'scene', index });
+    },
+    activity() {
+      const now = performance.now();
+      if (now - lastActivity < ACTIVITY_INTERVAL) return;
+      lastActivity = now;
+      worker.postMessage({ type: 'activity' });
+    },
+    pointer(point) {
+      worker.postMessage({ type: 'pointer', point });
+    },
+    tap(x, y) {
+      worker.postMessage({ type: 'tap', x, y });
+    },
+  };
+  updateLayout();
+}
 
-  // Zoom / height
-  const targetDist = lerp(CONFIG.distanceResting, CONFIG.distanceFlying, flight);
-  const targetHeight = lerp(CONFIG.heightResting, CONFIG.heightFlying, flight);
-  currentDistance += (targetDist - currentDistance) * CONFIG.cameraSmoothing;
-  currentHeight += (targetHeight - currentHeight) * CONFIG.cameraSmoothing;
+// ─── Main-Thread Host ─────────────────────────────────────────
+
+function startMainThread() {
+  host = null;
+  import('./ascii-scene.js').then(({ createAsciiScene }) => {
+    let scene;
+    try {
+      scene = createAsciiScene(asciiCanvas, Object.assign(sceneOptions(), {
+        onFrame,
+        onProgress: showProgress,
+        onSettle: settle,
+        onHalt: (reason) => giveUp('ASCII renderer halted:', reason),
+        onError: (err) => giveUp('Failed to load model:', err),
+      }));
+    } catch (err) {
+      // No WebGL at all: the canvas stays empty
+      giveUp('ASCII renderer unavailable:', err);
+      return;
+    }
 
-  // Wander: butterfly drifts around the viewport using Lissajous-style motion
-  const wanderSpeed = lerp(CONFIG.wanderSpeedResting, CONFIG.wanderSpeedFlying, flight);
-  wanderTime += wanderSpeed * delta;
+    host = {
+      layout: (layout) => scene.setLayout(layout),
+      pause: (paused) => scene.setPaused(paused),
+      setScene: (index) => scene.setScene(index),
+      activity: () => scene.activity(),
+      pointer: (point) => scene.setPointer(point),
+      tap: (x, y) => scene.tap(x, y),
+    };
+    updateLayout();
+  }, (err) => giveUp('Failed to load the ASCII scene:', err));
+}
 
-  const wanderScale = lerp(0.2, 1.0, flight);
-  const targetOX = Math.sin(wanderTime * 1.0) * CONFIG.wanderAmplitudeX * wanderScale
-                  + Math.sin(wanderTime * 1.7) * CONFIG.wanderAmplitudeX * 0.3 * wanderScale;
-  const targetOY = Math.cos(wanderTime * 0.8) * CONFIG.wanderAmplitudeY * wanderScale
-                  + Math.sin(wanderTime * 1.3) * CONFIG.wanderAmplitudeY * 0.2 * wanderScale;
+// ─── Input ────────────────────────────────────────────────────
+// Any movement or scrolling keeps the butterfly in flight. The pointer
+// itself goes over at most once a frame, in the butterfly's offset units
+// (the inverse of screenPosition()), for the scene to steer by; a click or
+// tap over the canvas goes as normalized device coordinates to raycast with.
 
-  currentOffsetX += (targetOX - currentOffsetX) * CONFIG.wanderSmoothing;
-  currentOffsetY += (targetOY - currentOffsetY) * CONFIG.wanderSmoothing;
+let pendingPointer = null;
+let pointerFrame = 0;
+
+function onActivity() {
+  if (host) host.activity();
+}
 
-  updateCamera();
-  updatePrePosition();
-  renderToAscii();
+function sendPointer(point) {
+  pendingPointer = point;
+  if (pointerFrame) return;
+  pointerFrame = requestAnimationFrame(() => {
+    pointerFrame = 0;
+    if (host) host.pointer(pendingPointer);
+  });
 }
 
-function onMouseMove() {
-  mouseMoving = true;
-  clearTimeout(mouseTimer);
-  mouseTimer = setTimeout(() => { mouseMoving = false; }, CONFIG.mouseStillDelay);
+function onPointer(clientX, clientY) {
+  onActivity();
+  sendPointer({
+    x: (clientX / window.innerWidth - 0.5) * 100 / 35,
+    y: -((clientY / window.innerHeight - 0.5) * 100 - 5) / 30,
+  });
 }
 
-window.addEventListener('mousemove', onMouseMove, { passive: true });
-window.addEventListener('scroll', onMouseMove, { passive: true });
-mouseTimer = setTimeout(() => { mouseMoving = false; }, CONFIG.mouseStillDelay);
+function onClick(e) {
+  if (!host || asciiCanvas.offsetWidth === 0) return;
+  const rect = asciiCanvas.getBoundingClientRect();
+  const x = (e.clientX - rect.left) / rect.width;
+  const y = (e.clientY - rect.top) / rect.height;
+  if (x < 0 || x > 1 || y < 0 || y > 1) return;
+  host.tap(x * 2 - 1, 1 - y * 2);
+}
+
+// Touch scrolling cancels the pointer stream, so touches are read directly
+function onTouch(e) {
+  if (e.touches.length > 0) {
+    onPointer(e.touches[0].clientX, e.touches[0].clientY);
+  } else {
+    sendPointer(null);
+  }
+}
+
+window.addEventListener('pointermove', (e) => onPointer(e.clientX, e.clientY), { passive: true });
+window.addEventListener('touchstart', onTouch, { passive: true });
+window.addEventListener('touchmove', onTouch, { passive: true });
+window.addEventListener('touchend', onTouch, { passive: true });
+window.addEventListener('touchcancel', onTouch, { passive: true });
+document.addEventListener('mouseout', (e) => {
+  if (!e.relatedTarget) sendPointer(null);
+});
+window.addEventListener('click', onClick);
+window.addEventListener('scroll', onActivity, { passive: true });
+
+if (CONFIG.useWorker && supportsOffscreenWebGL()) {
+  startWorker();
+} else {
+  startMainThread();
+}
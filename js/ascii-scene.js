@@ -0,0 +1,795 @@
+/**
+ * The ASCII butterfly scene: model, flight, camera and the GPU ASCII pass
+ *
+ * Touches no DOM, so it runs unchanged on the page's canvas or on an
+ * OffscreenCanvas inside ascii-worker.js. The page side (ascii-renderer.js)
+ * hands it the glyph atlas and forwards input activity; each frame it
+ * reports back where the butterfly is and how its wings are beating.
+ */
+
+// Full URLs rather than the page's import map, which module workers don't
+// see. jsDelivr's +esm builds point the addons' own `three` import at the
+// same module, so there's still only one copy of three.js.
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.170.0/+esm';
+import { GLTFLoader } from 'https://cdn.jsdelivr.net/npm/three@0.170.0/examples/jsm/loaders/GLTFLoader.js/+esm';
+import { DRACOLoader } from 'https://cdn.jsdelivr.net/npm/three@0.170.0/examples/jsm/loaders/DRACOLoader.js/+esm';
+import { CONFIG } from './ascii-config.js';
+
+// Dedicated workers only gained requestAnimationFrame alongside OffscreenCanvas
+const requestFrame = typeof self.requestAnimationFrame === 'function'
+  ? (fn) => self.requestAnimationFrame(fn)
+  : (fn) => setTimeout(fn, 1000 / 60);
+
+function lerp(a, b, t) { return a + (b - a) * t; }
+
+/**
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+ * @param {object} options
+ * @param {object[]} options.scenes - CONFIG.scenes with absolute model URLs,
+ *   since a worker resolves relative ones against its own script
+ * @param {number} options.initialScene - index of the scene to open with
+ * @param {string} options.decoderUrl - directory of the Draco decoder, absolute too
+ * @param {{enabled: boolean, frameLimit: number, FIXED_DT: number}} options.deterministic
+ * @param {function(object)} options.onFrame - called after every rendered frame
+ * @param {function()} options.onSettle - the deterministic frame limit was reached
+ * @param {function(string)} options.onHalt - the loop has stopped for good on
+ *   a failure (a shader error, or a lost context that never came back)
+ * @param {function(number, number)} options.onProgress - bytes of the first
+ *   model loaded and total (0 when the server doesn't say)
+ * @param {function(Error)} options.onError - the first model or its decoder
+ *   couldn't be loaded
+ */
+export function createAsciiScene(canvas, options) {
+  const deterministic = options.deterministic;
+
+  const renderer = new THREE.WebGLRenderer({
+    canvas,
+    antialias: false,
+    alpha: true,
+  });
+  renderer.setPixelRatio(1);
+  renderer.setClearColor(0x000000, 0);
+  renderer.outputColorSpace = THREE.LinearSRGBColorSpace;
+
+  // A shader that fails to compile or link would leave every later frame
+  // blank; stop instead.
+  renderer.debug.onShaderError = (gl, program, vertexShader, fragmentShader) => {
+    console.error('ASCII renderer shader failed:',
+      gl.getProgramInfoLog(program),
+      gl.getShaderInfoLog(vertexShader),
+      gl.getShaderInfoLog(fragmentShader));
+    halt('shader failed to compile or link');
+  };
+
+  const scene = new THREE.Scene();
+
+  // The aspect follows the grid in setLayout()
+  const camera = new THREE.PerspectiveCamera(CONFIG.cameraFov, 16 / 9, 0.01, 500);
+
+  scene.add(new THREE.AmbientLight(0xffffff, 0.7));
+
+  const keyLight = new THREE.DirectionalLight(0xffffff, 1.5);
+  keyLight.position.set(3, 5, 4);
+  scene.add(keyLight);
+
+  const fillLight = new THREE.DirectionalLight(0xffffff, 0.5);
+  fillLight.position.set(-3, 2, -2);
+  scene.add(fillLight);
+
+  const rimLight = new THREE.DirectionalLight(0xffffff, 0.6);
+  rimLight.position.set(0, 3, -6);
+  scene.add(rimLight);
+
+  let mixer = null;
+  let hoverAction = null;
+  let modelCenter = new THREE.Vector3();
+  let modelRadius = 1;
+  let orbitRadius = 1;
+  let loaded = false;
+
+  // CONFIG with the showing scene's `view` overrides on top
+  let view = CONFIG;
+
+  // Flight state: 0 = resting, 1 = flying
+  let flight = 0;
+  let mouseMoving = false;
+  let mouseTimer = null;
+
+  // Camera state
+  let orbitAngle = 0;
+  let currentDistance = CONFIG.distanceResting;
+  let currentHeight = CONFIG.heightResting;
+
+  // Wander state — makes the butterfly drift around the viewport
+  let wanderTime = 0;
+  let currentOffsetX = 0;
+  let currentOffsetY = 0;
+
+  // Steering state: the pointer in offset units (null once input stops),
+  // the goal it last set, and how far that goal has taken over the wander
+  let pointer = null;
+  let pointerTimer = null;
+  let steerX = 0;
+  let steerY = 0;
+  let steer = 0;
+
+  // Tap reaction: 1 right after a hit, fading to 0; `startled` marks the
+  // frame of the hit for the page side
+  const raycaster = new THREE.Raycaster();
+  let startle = 0;
+  let startled = false;
+
+  // Loop state: `animating` while a frame is scheduled, `contextLost` between
+  // the WebGL loss and restore events, `halted` once a failure has stopped it,
+  // `paused` while the page has nowhere to show it
+  let animating = false;
+  let contextLost = false;
+  let halted = false;
+  let paused = false;
+  let restoreTimer = null;
+
+  // ─── ASCII Pass ───────────────────────────────────────────────
+  // The model renders into sceneTarget, sized by setLayout() to the grid. A
+  // full-screen pass then averages each cell's block of it (3×3 taps),
+  // maps brightness × alpha onto the character ramp and copies that glyph out
+  // of an atlas — the whole conversion stays on the GPU, no readback. The
+  // color modes ride along in the same pass: every glyph pixel is shaded
+  // anyway, so a colored glyph costs no more than a plain one and there are
+  // no per-character runs to batch.
+  //
+  // With CONFIG.edges a Sobel filter on a half-cell grid runs over coverage,
+  // brightness, depth and a normals pass; where the strongest of those
+  // crosses edgeThreshold the cell takes the edge glyph nearest its angle.
+  //
+  // Scene changes dissolve the grid: cells drop out in a fixed random order
+  // as uDissolve rises to 1, the ones at the front of the dropout flickering
+  // through random glyphs, and come back the same way as it falls.
+
+  const COLOR_MODES = { mono: 0, full: 1, palette: 2, depth: 3 };
+  const colorMode = COLOR_MODES[CONFIG.colorMode] || COLOR_MODES.mono;
+
+  const sceneTarget = new THREE.WebGLRenderTarget(1, 1, {
+    depthTexture: colorMode === COLOR_MODES.depth || CONFIG.edges
+      ? new THREE.DepthTexture(1, 1)
+      : null,
+  });
+
+  // View-space normals for crease edges, drawn in a second pass
+  const normalTarget = CONFIG.edges ? new THREE.WebGLRenderTarget(1, 1) : null;
+  const normalMaterial = new THREE.MeshNormalMaterial({ side: THREE.DoubleSide });
+
+  // Colors go to the canvas as written (see outputColorSpace), so CSS values
+  // are taken as-is rather than converted to linear
+  function rawColor(style) {
+    return new THREE.Color().setStyle(style, THREE.LinearSRGBColorSpace);
+  }
+
+  // Set by setLayout(); nothing renders until the first atlas arrives
+  let glyphTexture = null;
+
+  const asciiMaterial = new THREE.ShaderMaterial({
+    uniforms: {
+      uScene: { value: sceneTarget.texture },
+      uGlyphs: { value: null },
+      uGrid: { value: new THREE.Vector2(1, 1) },
+      uGlyphCount: { value: CONFIG.characters.length },
+      uAtlasCount: { value: CONFIG.characters.length + CONFIG.edgeCharacters.length },
+      uColor: { value: new THREE.Color() },
+      uPalette: { value: CONFIG.palette.map(rawColor) },
+      uDepth: { value: sceneTarget.depthTexture },
+      uDepthColors: { value: CONFIG.depthColors.map(rawColor) },
+      uDepthRange: { value: new THREE.Vector2(0, 1) },
+      uCameraNear: { value: camera.near },
+      uCameraFar: { value: camera.far },
+      uNormals: { value: normalTarget && normalTarget.texture },
+      uEdgeThreshold: { value: CONFIG.edgeThreshold },
+      uDissolve: { value: 1 },
+      uScramble: { value: CONFIG.transitionScramble },
+      uSeed: { value: 0 },
+    },
+    defines: {
+      COLOR_MODE: colorMode,
+      EDGES: CONFIG.edges ? 1 : 0,
+      PALETTE_SIZE: CONFIG.palette.length,
+    },
+    vertexShader: `
+      varying vec2 vUv;
+      void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+      }
+    `,
+    // The atlas is uploaded unflipped (flipY doesn't apply to the
+    // ImageBitmaps a worker receives), so its top row sits at v = 0
+    fragmentShader: `
+      #include <packing>
+
+      uniform sampler2D uScene;
+      uniform sampler2D uGlyphs;
+      uniform vec2 uGrid;
+      uniform float uGlyphCount;
+      uniform float uAtlasCount;
+      uniform vec3 uColor;
+      uniform vec3 uPalette[PALETTE_SIZE];
+      uniform sampler2D uDepth;
+      uniform vec3 uDepthColors[2];
+      uniform vec2 uDepthRange;
+      uniform float uCameraNear;
+      uniform float uCameraFar;
+      uniform sampler2D uNormals;
+      uniform float uEdgeThreshold;
+      uniform float uDissolve;
+      uniform float uScramble;
+      uniform float uSeed;
+      varying vec2 vUv;
+
+      float hash(vec2 p) {
+        return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+      }
+
+      // A depth buffer value as 0 at the nearest point of the model and 1
+      // at the farthest (and beyond)
+      float modelDepth(float value) {
+        float depth = -perspectiveDepthToViewZ(value, uCameraNear, uCameraFar);
+        return clamp((depth - uDepthRange.x) / (uDepthRange.y - uDepthRange.x), 0.0, 1.0);
+      }
+
+    #if EDGES
+      // Keeps whichever weighted gradient is strongest, and its direction
+      void strongest(vec2 gradient, float weight, inout float strength, inout vec2 direction) {
+        float s = length(gradient) * weight;
+        if (s > strength) {
+          strength = s;
+          direction = gradient;
+        }
+      }
+
+      // Atlas index of the edge glyph for the cell at center, or -1 for none
+      float edgeGlyph(vec2 center) {
+        vec4 gx = vec4(0.0);
+        vec4 gy = vec4(0.0);
+        vec3 nx = vec3(0.0);
+        vec3 ny = vec3(0.0);
+        for (int y = -1; y <= 1; y++) {
+          for (int x = -1; x <= 1; x++) {
+            vec2 uv = center + vec2(x, y) * 0.5 / uGrid;
+            vec4 c = texture2D(uScene, uv);
+            vec4 signal = vec4(c.a, dot(c.rgb, vec3(0.299, 0.587, 0.114)),
+              modelDepth(texture2D(uDepth, uv).x), 0.0);
+            vec3 normal = texture2D(uNormals, uv).rgb;
+            // Sobel: 1-2-1 across the axis, signed along it
+            float wx = float(x) * (y == 0 ? 2.0 : 1.0);
+            float wy = float(y) * (x == 0 ? 2.0 : 1.0);
+            gx += signal * wx;
+            gy += signal * wy;
+            nx += normal * wx;
+            ny += normal * wy;
+          }
+        }
+
+        // Weights bring each signal to a common scale; a full 0 to 1 step
+        // sums to 4. The normals' direction comes from their summed change.
+        float strength = 0.0;
+        vec2 direction = vec2(0.0);
+        strongest(vec2(gx.x, gy.x), 0.25, strength, direction);
+        strongest(vec2(gx.y, gy.y), 0.25, strength, direction);
+        strongest(vec2(gx.z, gy.z), 0.5, strength, direction);
+        vec2 normalChange = vec2(length(nx), length(ny))
+          * sign(vec2(nx.x + nx.y + nx.z, ny.x + ny.y + ny.z) + 1e-6);
+        strongest(normalChange, 0.15, strength, direction);
+        if (strength < uEdgeThreshold) return -1.0;
+
+        // The edge runs across its gradient: fold its angle into [0, pi)
+        // and snap to horizontal, rising, vertical or falling
+        float angle = atan(direction.x, -direction.y);
+        if (angle < 0.0) angle += 3.14159265;
+        float bucket = mod(floor(angle / 0.78539816 + 0.5), 4.0);
+        // Horizontal with the shape (or the bright side) above it
+        if (bucket == 0.0 && direction.y > 0.0) bucket = 4.0;
+        return uGlyphCount + bucket;
+      }
+    #endif
+
+      void main() {
+        vec2 cell = floor(vUv * uGrid);
+        float order = hash(cell);
+        if (order < uDissolve) {
+          gl_FragColor = vec4(0.0);
+          return;
+        }
+
+        float brightness = 0.0;
+        float alpha = 0.0;
+        vec3 rgb = vec3(0.0);
+        float nearest = 1.0;
+        for (int y = 0; y < 3; y++) {
+          for (int x = 0; x < 3; x++) {
+            vec2 tap = (cell + (vec2(x, y) + 0.5) / 3.0) / uGrid;
+            vec4 c = texture2D(uScene, tap);
+            brightness += dot(c.rgb, vec3(0.299, 0.587, 0.114));
+            alpha += c.a;
+            rgb += c.rgb;
+          #if COLOR_MODE == 3
+            nearest = min(nearest, texture2D(uDepth, tap).x);
+          #endif
+          }
+        }
+        brightness /= 9.0;
+        alpha /= 9.0;
+
+        if (alpha < 10.0 / 255.0) {
+          gl_FragColor = vec4(0.0);
+          return;
+        }
+
+        vec3 color = uColor;
+      #if COLOR_MODE == 1 || COLOR_MODE == 2
+        // Averaged over the covered taps only, then back to display sRGB
+        vec3 average = pow(rgb / (alpha * 9.0), vec3(1.0 / 2.2));
+      #endif
+      #if COLOR_MODE == 1
+        // Hue and saturation at full value: the glyph already carries brightness
+        color = average / max(max(average.r, average.g), max(average.b, 1e-3));
+      #elif COLOR_MODE == 2
+        float best = 1e9;
+        for (int i = 0; i < PALETTE_SIZE; i++) {
+          vec3 d = average - uPalette[i];
+          float dist = dot(d, d);
+          if (dist < best) {
+            best = dist;
+            color = uPalette[i];
+          }
+        }
+      #elif COLOR_MODE == 3
+        color = mix(uDepthColors[0], uDepthColors[1], modelDepth(nearest));
+      #endif
+
+        float index = min(uGlyphCount - 1.0, floor(brightness * alpha * (uGlyphCount - 1.0)));
+      #if EDGES
+        float edge = edgeGlyph((cell + 0.5) / uGrid);
+        if (edge >= 0.0) index = edge;
+      #endif
+        if (uDissolve > 0.0 && order < uDissolve + uScramble) {
+          index = floor(hash(cell + uSeed) * uGlyphCount);
+        }
+        vec2 local = fract(vUv * uGrid);
+        float glyph = texture2D(uGlyphs, vec2((index + local.x) / uAtlasCount, 1.0 - local.y)).a;
+        gl_FragColor = vec4(color * glyph, glyph);
+      }
+    `,
+    depthTest: false,
+    depthWrite: false,
+  });
+
+  const asciiScene = new THREE.Scene();
+  asciiScene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), asciiMaterial));
+  const asciiCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+  // `layout.glyphs` holds one atlas cell per ramp position, repeats included,
+  // so a ramp index is also an atlas index; the edge glyphs follow the ramp.
+  // It's a canvas on the main thread and an ImageBitmap in a worker.
+  // `layout.cols` × `layout.rows` cells of cellWidth × cellHeight device
+  // pixels fill the container.
+  function setLayout(layout) {
+    const previous = glyphTexture;
+
+    glyphTexture = new THREE.Texture(layout.glyphs);
+    glyphTexture.minFilter = THREE.NearestFilter;
+    glyphTexture.magFilter = THREE.NearestFilter;
+    glyphTexture.generateMipmaps = false;
+    glyphTexture.flipY = false;
+    glyphTexture.needsUpdate = true;
+    asciiMaterial.uniforms.uGlyphs.value = glyphTexture;
+
+    if (previous) {
+      previous.dispose();
+      if (typeof previous.image.close === 'function') previous.image.close();
+    }
+
+    asciiMaterial.uniforms.uColor.value.copy(rawColor(layout.color));
+    const { cols, rows } = layout;
+    asciiMaterial.uniforms.uGrid.value.set(cols, rows);
+    renderer.setSize(cols * layout.cellWidth, rows * layout.cellHeight, false);
+
+    // The offscreen render takes the grid's on-screen aspect, so the model
+    // keeps its proportions whatever the font's glyph aspect
+    const aspect = (cols * layout.cellWidth) / (rows * layout.cellHeight);
+    let height = rows * CONFIG.cellSamples;
+    let width = height * aspect;
+    const fit = Math.min(1, CONFIG.maxRenderSize / Math.max(width, height));
+    width = Math.max(1, Math.round(width * fit));
+    height = Math.max(1, Math.round(height * fit));
+    sceneTarget.setSize(width, height);
+    if (normalTarget) normalTarget.setSize(width, height);
+
+    camera.aspect = aspect;
+    camera.updateProjectionMatrix();
+    updateCamera();
+
+    startAnimation();
+  }
+
+  // ─── Scenes ───────────────────────────────────────────────────
+  // `showing` is the scene on screen and `target` the one its section asks
+  // for. While they differ the grid dissolves out; once it's blank and the
+  // target's model is in, the models swap and the grid dissolves back in.
+  // Models load when their scene is first asked for, and the one after the
+  // showing scene is fetched ahead. A model shared by scenes loads once.
+
+  const scenes = options.scenes;
+  const modelCount = new Set(scenes.map((entry) => entry.model)).size;
+  const requested = new Set();
+  // url → { model, animations, center, radius, maxDim }, or the load error
+  const models = new Map();
+
+  let showing = -1;
+  // Set when the first scene's model fails; the playlist is over then
+  let loadFailed = false;
+  let target = Math.max(0, Math.min(scenes.length - 1, options.initialScene));
+  let dissolve = 1;
+  let currentModel = null;
+
+  const dracoLoader = new DRACOLoader();
+  dracoLoader.setDecoderPath(options.decoderUrl);
+  dracoLoader.setDecoderConfig({ type: 'js' });
+
+  const loader = new GLTFLoader();
+  loader.setDRACOLoader(dracoLoader);
+
+  function prepareModel(gltf) {
+    const model = gltf.scene;
+
+    // Full color keeps the model's own color and texture; every other
+    // mode only needs its shading
+    const ownColors = colorMode === COLOR_MODES.full;
+
+    model.traverse((child) => {
+      if (child.isMesh) {
+        const source = child.material;
+        child.material = new THREE.MeshStandardMaterial({
+          color: ownColors && source.color ? source.color : 0xcccccc,
+          map: ownColors && source.map ? source.map : null,
+          roughness: 0.5,
+          metalness: 0.05,
+          side: THREE.DoubleSide,
+        });
+      }
+    });
+
+    const box = new THREE.Box3().setFromObject(model);
+    const size = box.getSize(new THREE.Vector3());
+
+    return {
+      model,
+      animations: gltf.animations || [],
+      center: box.getCenter(new THREE.Vector3()),
+      radius: size.length() / 2,
+      maxDim: Math.max(size.x, size.y, size.z),
+    };
+  }
+
+  // Until a first scene is up, the loading state follows the target's model
+  // and its failure is final; later ones load and fail quietly.
+  function loadModel(index) {
+    const url = scenes[index].model;
+    if (requested.has(url)) return;
+    requested.add(url);
+
+    loader.load(
+      url,
+      (gltf) => {
+        models.set(url, prepareModel(gltf));
+        if (models.size === modelCount) dracoLoader.dispose();
+        if (showing < 0 && scenes[target].model === url) {
+          show(target);
+          startAnimation();
+        }
+      },
+      (e) => {
+        if (showing < 0 && scenes[target].model === url) {
+          options.onProgress(e.loaded, e.lengthComputable ? e.total : 0);
+        }
+      },
+      (err) => {
+        models.set(url, err instanceof Error ? err : new Error(String(err)));
+        if (models.size === modelCount) dracoLoader.dispose();
+        if (showing < 0 && scenes[target].model === url) {
+          // Nothing to show; the page side puts up its fallback instead
+          loadFailed = true;
+          options.onError(err);
+        } else {
+          console.error('Failed to load model:', url, err);
+        }
+      }
+    );
+  }
+
+  function show(index) {
+    const entry = scenes[index];
+    const prepared = models.get(entry.model);
+
+    if (mixer) mixer.stopAllAction();
+    mixer = null;
+    hoverAction = null;
+    if (currentModel) scene.remove(currentModel);
+    currentModel = prepared.model;
+    scene.add(currentModel);
+
+    view = Object.assign({}, CONFIG, entry.view);
+    modelCenter = prepared.center;
+    modelRadius = prepared.radius;
+    orbitRadius = prepared.maxDim * view.baseDistance;
+    camera.fov = view.cameraFov;
+    camera.updateProjectionMatrix();
+
+    if (prepared.animations.length > 0) {
+      mixer = new THREE.AnimationMixer(currentModel);
+
+      const clip = prepared.animations.find(c => c.name === entry.clip) || prepared.animations[0];
+      hoverAction = mixer.clipAction(clip);
+      hoverAction.play();
+      hoverAction.loop = THREE.LoopRepeat;
+      hoverAction.timeScale = lerp(view.flapSpeedResting, view.flapSpeedFlying, flight);
+    }
+
+    showing = index;
+    loaded = true;
+    if (index + 1 < scenes.length) loadModel(index + 1);
+    updateCamera();
+  }
+
+  // A scene whose model failed stays out of the playlist
+  function setScene(index) {
+    if (loadFailed || index < 0 || index >= scenes.length) return;
+    if (models.get(scenes[index].model) instanceof Error) return;
+    target = index;
+    loadModel(index);
+  }
+
+  function updateTransition(delta) {
+    const step = delta / (CONFIG.transitionTime / 2);
+    if (target !== showing) {
+      dissolve = Math.min(1, dissolve + step);
+      const next = models.get(scenes[target].model);
+      if (dissolve === 1 && next instanceof Error) {
+        target = showing;
+      } else if (dissolve === 1 && next) {
+        show(target);
+      }
+    } else {
+      dissolve = Math.max(0, dissolve - step);
+    }
+    asciiMaterial.uniforms.uDissolve.value = dissolve;
+    asciiMaterial.uniforms.uSeed.value = frameCount % 1000;
+  }
+
+  loadModel(target);
+
+  function updateCamera() {
+    // The fov is vertical; on a portrait grid back off until the model's
+    // width fits instead
+    const r = orbitRadius * currentDistance * Math.max(1, 1 / camera.aspect);
+
+    camera.position.set(
+      modelCenter.x + r * Math.sin(orbitAngle),
+      modelCenter.y + orbitRadius * currentHeight,
+      modelCenter.z + r * Math.cos(orbitAngle)
+    );
+    camera.lookAt(modelCenter);
+
+    // The depth tint spans the model's bounding sphere as seen from here
+    const distance = camera.position.distanceTo(modelCenter);
+    asciiMaterial.uniforms.uDepthRange.value.set(distance - modelRadius, distance + modelRadius);
+  }
+
+  // A wing beat is one loop of the flap clip; the page side watches this
+  // phase wrap around
+  function flapPhase() {
+    if (!hoverAction) return null;
+    const duration = hoverAction.getClip().duration;
+    return duration > 0 ? (hoverAction.time % duration) / duration : 0;
+  }
+
+  // ─── Context Loss ─────────────────────────────────────────────
+  // three.js already calls preventDefault on the loss and re-creates its own GL
+  // state on restore; geometry and materials re-upload lazily from the copies
+  // it keeps on the CPU. All that's left here is parking the loop meanwhile.
+  // An OffscreenCanvas fires the same events as the page's canvas.
+
+  canvas.addEventListener('webglcontextlost', () => {
+    contextLost = true;
+    clearTimeout(restoreTimer);
+    restoreTimer = setTimeout(() => halt('WebGL context was not restored'), CONFIG.restoreTimeout);
+  });
+
+  canvas.addEventListener('webglcontextrestored', () => {
+    clearTimeout(restoreTimer);
+    contextLost = false;
+    if (halted) return;
+    rebuildModelResources();
+    startAnimation();
+  });
+
+  function rebuildModelResources() {
+    scene.traverse((child) => {
+      if (child.isMesh) child.material.needsUpdate = true;
+    });
+    asciiMaterial.needsUpdate = true;
+    if (glyphTexture) glyphTexture.needsUpdate = true;
+  }
+
+  // The page side puts up its static frame in place of the canvas
+  function halt(reason) {
+    if (halted) return;
+    halted = true;
+    clearTimeout(restoreTimer);
+    options.onHalt(reason);
+  }
+
+  // ─── Animation Loop ───────────────────────────────────────────
+
+  const clock = new THREE.Clock();
+  let frameCount = 0;
+
+  function startAnimation() {
+    if (animating || !loaded || !glyphTexture) return;
+    clock.getDelta();
+    animate();
+  }
+
+  // The frame scheduled before a pause finds `paused` set and stops there
+  function setPaused(value) {
+    paused = value;
+    if (!paused) startAnimation();
+  }
+
+  function renderToAscii() {
+    if (renderer.getContext().isContextLost()) return;
+
+    renderer.setRenderTarget(sceneTarget);
+    renderer.render(scene, camera);
+    if (normalTarget) {
+      scene.overrideMaterial = normalMaterial;
+      renderer.setRenderTarget(normalTarget);
+      renderer.render(scene, camera);
+      scene.overrideMaterial = null;
+    }
+    renderer.setRenderTarget(null);
+    renderer.render(asciiScene, asciiCamera);
+  }
+
+  function animate() {
+    animating = false;
+    if (!loaded || contextLost || halted || paused) return;
+
+    if (deterministic.frameLimit > 0 && frameCount >= deterministic.frameLimit) {
+      options.onSettle();
+      return;
+    }
+    frameCount++;
+    animating = true;
+    requestFrame(animate);
+
+    const delta = deterministic.enabled ? deterministic.FIXED_DT : clock.getDelta();
+
+    // Ramp flight up quickly when mouse moves, down slowly when it stops
+    if (mouseMoving) {
+      flight += (1 - flight) * view.flightRampUp;
+    } else {
+      flight += (0 - flight) * view.flightRampDown;
+    }
+    flight = Math.max(0, Math.min(1, flight));
+
+    // Wing flap speed: fast when flying, slow breathing when resting
+    if (hoverAction) {
+      const targetSpeed = lerp(view.flapSpeedResting, view.flapSpeedFlying, flight);
+      hoverAction.timeScale = targetSpeed;
+    }
+
+    if (mixer) {
+      mixer.update(delta);
+    }
+
+    // Camera orbit
+    const orbitSpeed = lerp(view.orbitSpeedResting, view.orbitSpeedFlying, flight)
+      + startle * CONFIG.startleSpin;
+    orbitAngle += orbitSpeed * delta;
+
+    // Zoom / height
+    const targetDist = lerp(view.distanceResting, view.distanceFlying, flight);
+    const targetHeight = lerp(view.heightResting, view.heightFlying, flight);
+    currentDistance += (targetDist - currentDistance) * view.cameraSmoothing;
+    currentHeight += (targetHeight - currentHeight) * view.cameraSmoothing;
+
+    // Wander: butterfly drifts around the viewport using Lissajous-style motion
+    const wanderSpeed = lerp(view.wanderSpeedResting, view.wanderSpeedFlying, flight);
+    wanderTime += wanderSpeed * delta;
+
+    const wanderScale = lerp(0.2, 1.0, flight);
+    const targetOX = Math.sin(wanderTime * 1.0) * view.wanderAmplitudeX * wanderScale
+                    + Math.sin(wanderTime * 1.7) * view.wanderAmplitudeX * 0.3 * wanderScale;
+    const targetOY = Math.cos(wanderTime * 0.8) * view.wanderAmplitudeY * wanderScale
+                    + Math.sin(wanderTime * 1.3) * view.wanderAmplitudeY * 0.2 * wanderScale;
+
+    // Steering takes over from the wander while there's input
+    if (pointer) steerToward(targetOX, targetOY);
+    steer += ((pointer ? 1 : 0) - steer) * CONFIG.steerRamp;
+    startle = Math.max(0, startle - delta / CONFIG.startleTime);
+
+    const goalX = lerp(targetOX, steerX, steer);
+    const goalY = lerp(targetOY, steerY, steer) + startle * CONFIG.startleHop;
+    const smoothing = lerp(view.wanderSmoothing, CONFIG.steerSmoothing, steer);
+    currentOffsetX += (goalX - currentOffsetX) * smoothing;
+    currentOffsetY += (goalY - currentOffsetY) * smoothing;
+
+    updateTransition(delta);
+    updateCamera();
+    renderToAscii();
+
+    options.onFrame({
+      delta,
+      flight,
+      offsetX: currentOffsetX,
+      offsetY: currentOffsetY,
+      flapPhase: flapPhase(),
+      startled,
+    });
+    startled = false;
+  }
+
+  // ─── Pointer ──────────────────────────────────────────────────
+
+  // Kept within reach of the viewport edges
+  function setSteerGoal(x, y) {
+    steerX = Math.max(-CONFIG.steerLimitX, Math.min(CONFIG.steerLimitX, x));
+    steerY = Math.max(-CONFIG.steerLimitY, Math.min(CONFIG.steerLimitY, y));
+  }
+
+  // Sets the steering goal from the pointer; (wanderX, wanderY) is where the
+  // wander alone would go this frame
+  function steerToward(wanderX, wanderY) {
+    if (CONFIG.steerMode === 'avoid') {
+      const dx = currentOffsetX - pointer.x;
+      const dy = currentOffsetY - pointer.y;
+      const dist = Math.hypot(dx, dy);
+      if (dist >= CONFIG.avoidRadius) {
+        setSteerGoal(wanderX, wanderY);
+      } else if (dist > 1e-4) {
+        setSteerGoal(pointer.x + dx / dist * CONFIG.avoidRadius, pointer.y + dy / dist * CONFIG.avoidRadius);
+      } else {
+        setSteerGoal(pointer.x + CONFIG.avoidRadius, pointer.y);
+      }
+      return;
+    }
+    // Hover about the pointer with a little of the wander left in
+    setSteerGoal(pointer.x + wanderX * 0.25, pointer.y + wanderY * 0.25);
+  }
+
+  // `point` is in offset units, or null when the pointer has left the page
+  function setPointer(point) {
+    pointer = point;
+    clearTimeout(pointerTimer);
+    if (point) pointerTimer = setTimeout(() => { pointer = null; }, CONFIG.steerTimeout);
+  }
+
+  // A click or tap at normalized device coordinates (x, y) on the canvas
+  function tap(x, y) {
+    if (!currentModel || !loaded) return;
+    raycaster.setFromCamera(new THREE.Vector2(x, y), camera);
+    if (raycaster.intersectObject(currentModel, true).length === 0) return;
+    startle = 1;
+    startled = true;
+    flight = 1;
+  }
+
+  // Mouse movement or scrolling on the page
+  function activity() {
+    mouseMoving = true;
+    clearTimeout(mouseTimer);
+    mouseTimer = setTimeout(() => { mouseMoving = false; }, CONFIG.mouseStillDelay);
+  }
+
+  mouseTimer = setTimeout(() => { mouseMoving = false; }, CONFIG.mouseStillDelay);
+
+  return { setLayout, setPaused, setScene, activity, setPointer, tap };
+}
@@ -0,0 +1,65 @@
+/**
+ * Module worker that runs the ASCII butterfly scene (ascii-scene.js) on an
+ * OffscreenCanvas handed over by ascii-renderer.js
+ *
+ * Messages in:  init { canvas, scenes, initialScene, decoderUrl, deterministic },
+ *               layout { layout }, paused { paused }, scene { index }, activity,
+ *               pointer { point }, tap { x, y }
+ * Messages out: progress { loaded, total }, frame { state }, settled,
+ *               halted { message }, load-error { message }, error { message }
+ *
+ * load-error means the model or its decoder didn't load, which the main
+ * thread couldn't do any better; error means the worker itself can't run the
+ * scene, and the page retries it on the main thread.
+ */
+
+import { createAsciiScene } from './ascii-scene.js';
+
+let scene = null;
+
+function describe(err) {
+  return String((err && err.message) || err);
+}
+
+function fail(err) {
+  self.postMessage({ type: 'error', message: describe(err) });
+}
+
+self.addEventListener('message', (e) => {
+  const msg = e.data;
+
+  if (msg.type === 'init') {
+    try {
+      scene = createAsciiScene(msg.canvas, {
+        scenes: msg.scenes,
+        initialScene: msg.initialScene,
+        decoderUrl: msg.decoderUrl,
+        deterministic: msg.deterministic,
+        onFrame: (state) => self.postMessage({ type: 'frame', state }),
+        onProgress: (loaded, total) => self.postMessage({ type: 'progress', loaded, total }),
+        onSettle: () => self.postMessage({ type: 'settled' }),
+        onHalt: (reason) => self.postMessage({ type: 'halted', message: reason }),
+        onError: (err) => self.postMessage({ type: 'load-error', message: describe(err) }),
+      });
+    } catch (err) {
+      fail(err);
+    }
+    return;
+  }
+
+  if (!scene) return;
+
+  if (msg.type === 'layout') {
+    scene.setLayout(msg.layout);
+  } else if (msg.type === 'paused') {
+    scene.setPaused(msg.paused);
+  } else if (msg.type === 'scene') {
+    scene.setScene(msg.index);
+  } else if (msg.type === 'activity') {
+    scene.activity();
+  } else if (msg.type === 'pointer') {
+    scene.setPointer(msg.point);
+  } else if (msg.type === 'tap') {
+    scene.tap(msg.x, msg.y);
+  }
+});
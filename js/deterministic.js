@@ -0,0 +1,88 @@
+/**
+ * Seeded, fixed-timestep mode for the visual effects
+ *
+ * Loaded before the effects. With `?seed=<anything>` in the URL:
+ *   - every random draw in fluid.js comes from a seeded PRNG stream
+ *   - fluid.js and ascii-renderer.js advance by a constant dt per frame
+ *   - real-time couplings between the two effects are switched off, since
+ *     the butterfly starts whenever its model finishes downloading
+ *   - main.js leaves out the text stamps, which wait on the webfont and on
+ *     sections scrolling into view
+ *
+ * Add `&frames=<n>` to halt each effect after n frames. Once every effect
+ * has halted, <html> gets a `data-effects-settled` attribute — the cue for
+ * screenshot-based visual regression tests.
+ *
+ * Without `?seed=` the helpers fall through to Math.random and real time.
+ */
+
+(function () {
+  'use strict';
+
+  const params = new URLSearchParams(window.location.search);
+  const seedParam = params.get('seed');
+  const enabled = seedParam !== null;
+  const frameLimit = enabled ? Math.max(0, parseInt(params.get('frames'), 10) || 0) : 0;
+
+  // FNV-1a, to turn any seed string into 32 bits
+  function hashString (str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  function mulberry32 (a) {
+    return function () {
+      a = (a + 0x6d2b79f5) | 0;
+      let t = Math.imul(a ^ (a >>> 15), 1 | a);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Each effect draws from its own stream, so the order in which their
+  // animation frames interleave can't shift one another's sequence.
+  function createRandom (stream) {
+    if (!enabled) return Math.random;
+    return mulberry32(hashString(seedParam + ':' + stream));
+  }
+
+  // ─── Settling ─────────────────────────────────────────────────
+
+  const running = new Set();
+  let pageLoaded = document.readyState === 'complete';
+
+  function checkSettled () {
+    if (pageLoaded && running.size === 0) {
+      document.documentElement.setAttribute('data-effects-settled', '');
+    }
+  }
+
+  function register (name) {
+    running.add(name);
+  }
+
+  function settle (name) {
+    running.delete(name);
+    checkSettled();
+  }
+
+  // Module scripts have all registered by the time `load` fires
+  window.addEventListener('load', () => {
+    pageLoaded = true;
+    checkSettled();
+  });
+
+  window.Deterministic = {
+    enabled,
+    seed: seedParam,
+    FIXED_DT: 1 / 60,
+    frameLimit,
+    createRandom,
+    register,
+    settle,
+  };
+})();
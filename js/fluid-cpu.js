@@ -0,0 +1,378 @@
+/**
+ * Canvas2D Fluid Fallback — CPU stable-fluids solver
+ *
+ * Used by fluid.js when WebGL, or renderable half-float textures, are not
+ * available. Mirrors the WebGL passes on a small grid so the same config
+ * values look roughly the same:
+ *   - Curl, vorticity confinement, buoyancy, divergence, Jacobi pressure
+ *     solve, gradient subtraction, semi-Lagrangian advection with dissipation
+ *   - Gaussian splats in the same units as the GPU splat shader
+ *   - Text/image stamps sampled from the same 2D-canvas masks
+ *   - The same scroll shear force
+ *
+ * The grid is drawn 1:1 into the canvas backing store and the browser scales
+ * it up to the viewport, which doubles as a cheap blur.
+ */
+
+(function () {
+  'use strict';
+
+  function createCpuFluid (canvas, config) {
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return null;
+
+    let w = 0;
+    let h = 0;
+    let u, v, r, g, b, t;
+    let curl, divergence, pressure, scratch;
+    let nu, nv, nt, nr, ng, nb;      // advection targets, swapped with the fields each step
+    let image;
+    let clientWidth = 0;
+    let clientHeight = 0;
+
+    function allocate (width, height) {
+      const n = width * height;
+      const fields = {
+        u: new Float32Array(n),
+        v: new Float32Array(n),
+        r: new Float32Array(n),
+        g: new Float32Array(n),
+        b: new Float32Array(n),
+        t: new Float32Array(n),
+      };
+
+      // Resample whatever is running into the new grid; velocity is stored
+      // in cells per second, so it scales with the grid.
+      if (w > 0) {
+        const scaleX = width / w;
+        const scaleY = height / h;
+        for (let j = 0; j < height; j++) {
+          for (let i = 0; i < width; i++) {
+            const x = (i + 0.5) / scaleX;
+            const y = (j + 0.5) / scaleY;
+            const k = j * width + i;
+            fields.u[k] = sample(u, x, y) * scaleX;
+            fields.v[k] = sample(v, x, y) * scaleY;
+            fields.r[k] = sample(r, x, y);
+            fields.g[k] = sample(g, x, y);
+            fields.b[k] = sample(b, x, y);
+            fields.t[k] = sample(t, x, y);
+          }
+        }
+      }
+
+      w = width;
+      h = height;
+      u = fields.u;
+      v = fields.v;
+      r = fields.r;
+      g = fields.g;
+      b = fields.b;
+      t = fields.t;
+      curl = new Float32Array(n);
+      divergence = new Float32Array(n);
+      pressure = new Float32Array(n);
+      scratch = new Float32Array(n);
+      nu = new Float32Array(n);
+      nv = new Float32Array(n);
+      nt = new Float32Array(n);
+      nr = new Float32Array(n);
+      ng = new Float32Array(n);
+      nb = new Float32Array(n);
+
+      canvas.width = w;
+      canvas.height = h;
+      image = ctx.createImageData(w, h);
+    }
+
+    function getResolution () {
+      let aspectRatio = canvas.clientWidth / canvas.clientHeight;
+      if (!isFinite(aspectRatio) || aspectRatio <= 0) aspectRatio = 1;
+      const landscape = aspectRatio >= 1;
+      if (aspectRatio < 1) aspectRatio = 1.0 / aspectRatio;
+      const min = Math.round(config.CPU_RESOLUTION);
+      const max = Math.round(config.CPU_RESOLUTION * aspectRatio);
+      return landscape ? { width: max, height: min } : { width: min, height: max };
+    }
+
+    function resize () {
+      clientWidth = canvas.clientWidth;
+      clientHeight = canvas.clientHeight;
+      const res = getResolution();
+      if (res.width !== w || res.height !== h) {
+        allocate(res.width, res.height);
+      }
+    }
+
+    // ─── Sampling ─────────────────────────────────────────────────
+
+    // Clamp-to-edge lookups, matching the GPU textures' wrap mode
+    function at (f, i, j) {
+      if (i < 0) i = 0; else if (i >= w) i = w - 1;
+      if (j < 0) j = 0; else if (j >= h) j = h - 1;
+      return f[j * w + i];
+    }
+
+    // Bilinear sample at grid coordinates, cell centres on the half-integers
+    function sample (f, x, y) {
+      x -= 0.5;
+      y -= 0.5;
+      const i = Math.floor(x);
+      const j = Math.floor(y);
+      const fx = x - i;
+      const fy = y - j;
+      const a = at(f, i, j);
+      const c = at(f, i + 1, j);
+      const d = at(f, i, j + 1);
+      const e = at(f, i + 1, j + 1);
+      return (a + (c - a) * fx) * (1 - fy) + (d + (e - d) * fx) * fy;
+    }
+
+    // ─── Simulation Step ──────────────────────────────────────────
+
+    function step (dt) {
+      // Curl
+      for (let j = 0; j < h; j++) {
+        for (let i = 0; i < w; i++) {
+          const L = at(v, i - 1, j);
+          const R = at(v, i + 1, j);
+          const T = at(u, i, j + 1);
+          const B = at(u, i, j - 1);
+          curl[j * w + i] = 0.5 * (R - L - T + B);
+        }
+      }
+
+      // Vorticity confinement
+      for (let j = 0; j < h; j++) {
+        for (let i = 0; i < w; i++) {
+          const k = j * w + i;
+          let fx = 0.5 * (Math.abs(at(curl, i, j + 1)) - Math.abs(at(curl, i, j - 1)));
+          let fy = 0.5 * (Math.abs(at(curl, i + 1, j)) - Math.abs(at(curl, i - 1, j)));
+          const len = Math.sqrt(fx * fx + fy * fy) + 0.0001;
+          const strength = config.CURL * curl[k] / len;
+          fx *= strength;
+          fy *= -strength;
+          u[k] += fx * dt;
+          v[k] += fy * dt;
+        }
+      }
+
+      // Buoyancy: heat lifts, dye weighs down. Both are in viewport
+      // heights per second², velocity in cells per second.
+      if (config.TEMPERATURE) {
+        const lift = config.BUOYANCY * h;
+        const weight = config.GRAVITY * h;
+        for (let k = 0; k < v.length; k++) {
+          const density = 0.299 * r[k] + 0.587 * g[k] + 0.114 * b[k];
+          v[k] += dt * (lift * t[k] - weight * density);
+        }
+      }
+
+      // Divergence, with the walls reflecting velocity
+      for (let j = 0; j < h; j++) {
+        for (let i = 0; i < w; i++) {
+          const k = j * w + i;
+          const L = i === 0 ? -u[k] : u[k - 1];
+          const R = i === w - 1 ? -u[k] : u[k + 1];
+          const T = j === h - 1 ? -v[k] : v[k + w];
+          const B = j === 0 ? -v[k] : v[k - w];
+          divergence[k] = 0.5 * (R - L + T - B);
+        }
+      }
+
+      // Pressure: decay the previous solution, then Jacobi iterations
+      for (let k = 0; k < pressure.length; k++) {
+        pressure[k] *= config.PRESSURE;
+      }
+      for (let n = 0; n < config.PRESSURE_ITERATIONS; n++) {
+        for (let j = 0; j < h; j++) {
+          for (let i = 0; i < w; i++) {
+            const sum = at(pressure, i - 1, j) + at(pressure, i + 1, j) +
+                        at(pressure, i, j - 1) + at(pressure, i, j + 1);
+            scratch[j * w + i] = (sum - divergence[j * w + i]) * 0.25;
+          }
+        }
+        const tmp = pressure; pressure = scratch; scratch = tmp;
+      }
+
+      // Gradient subtract
+      for (let j = 0; j < h; j++) {
+        for (let i = 0; i < w; i++) {
+          const k = j * w + i;
+          u[k] -= at(pressure, i + 1, j) - at(pressure, i - 1, j);
+          v[k] -= at(pressure, i, j + 1) - at(pressure, i, j - 1);
+        }
+      }
+
+      // Advect velocity, then dye along the updated velocity
+      const velocityDecay = 1.0 + config.VELOCITY_DISSIPATION * dt;
+      for (let j = 0; j < h; j++) {
+        for (let i = 0; i < w; i++) {
+          const k = j * w + i;
+          const x = i + 0.5 - dt * u[k];
+          const y = j + 0.5 - dt * v[k];
+          nu[k] = sample(u, x, y) / velocityDecay;
+          nv[k] = sample(v, x, y) / velocityDecay;
+        }
+      }
+      let swap = u; u = nu; nu = swap;
+      swap = v; v = nv; nv = swap;
+
+      if (config.TEMPERATURE) {
+        const heatDecay = 1.0 + config.TEMPERATURE_DISSIPATION * dt;
+        for (let j = 0; j < h; j++) {
+          for (let i = 0; i < w; i++) {
+            const k = j * w + i;
+            nt[k] = sample(t, i + 0.5 - dt * u[k], j + 0.5 - dt * v[k]) / heatDecay;
+          }
+        }
+        swap = t; t = nt; nt = swap;
+      }
+
+      const dyeDecay = 1.0 + config.DENSITY_DISSIPATION * dt;
+      for (let j = 0; j < h; j++) {
+        for (let i = 0; i < w; i++) {
+          const k = j * w + i;
+          const x = i + 0.5 - dt * u[k];
+          const y = j + 0.5 - dt * v[k];
+          nr[k] = sample(r, x, y) / dyeDecay;
+          ng[k] = sample(g, x, y) / dyeDecay;
+          nb[k] = sample(b, x, y) / dyeDecay;
+        }
+      }
+      swap = r; r = nr; nr = swap;
+      swap = g; g = ng; ng = swap;
+      swap = b; b = nb; nb = swap;
+    }
+
+    // ─── Splats ───────────────────────────────────────────────────
+
+    // Same falloff as the GPU splat shader: exp(-|p|² / radius) with p in
+    // texture space and x stretched by the aspect ratio.
+    function splat (x, y, dx, dy, color, heat) {
+      const aspectRatio = w / h;
+      let radius = config.SPLAT_RADIUS / 100.0;
+      if (aspectRatio > 1) radius *= aspectRatio;
+
+      // Beyond ~7 radii the contribution is below 1/1000 — skip those cells
+      const reach = Math.sqrt(radius * 6.9);
+      const i0 = Math.max(0, Math.floor((x - reach / aspectRatio) * w));
+      const i1 = Math.min(w - 1, Math.ceil((x + reach / aspectRatio) * w));
+      const j0 = Math.max(0, Math.floor((y - reach) * h));
+      const j1 = Math.min(h - 1, Math.ceil((y + reach) * h));
+
+      const fx = dx * config.SPLAT_FORCE;
+      const fy = dy * config.SPLAT_FORCE;
+      const addHeat = heat > 0 && config.TEMPERATURE ? heat : 0;
+
+      for (let j = j0; j <= j1; j++) {
+        const py = (j + 0.5) / h - y;
+        for (let i = i0; i <= i1; i++) {
+          const px = ((i + 0.5) / w - x) * aspectRatio;
+          const weight = Math.exp(-(px * px + py * py) / radius);
+          const k = j * w + i;
+          u[k] += fx * weight;
+          v[k] += fy * weight;
+          r[k] += color.r * weight;
+          g[k] += color.g * weight;
+          b[k] += color.b * weight;
+          t[k] += addHeat * weight;
+        }
+      }
+    }
+
+    // Nearest-texel lookup into the stamp mask; the grid is far coarser than
+    // the mask, so filtering would be wasted work.
+    function stamp (s) {
+      const mw = s.mask.width;
+      const mh = s.mask.height;
+      const pixels = s.mask.getContext('2d').getImageData(0, 0, mw, mh).data;
+      const i0 = Math.max(0, Math.floor(s.x0 * w));
+      const i1 = Math.min(w - 1, Math.ceil(s.x1 * w));
+      const j0 = Math.max(0, Math.floor(s.y0 * h));
+      const j1 = Math.min(h - 1, Math.ceil(s.y1 * h));
+
+      for (let j = j0; j <= j1; j++) {
+        const ty = ((j + 0.5) / h - s.y0) / (s.y1 - s.y0);
+        if (ty < 0 || ty > 1) continue;
+        // Mask rows run top-down, grid rows bottom-up
+        const row = Math.min(mh - 1, Math.floor((1 - ty) * mh)) * mw;
+        for (let i = i0; i <= i1; i++) {
+          const tx = ((i + 0.5) / w - s.x0) / (s.x1 - s.x0);
+          if (tx < 0 || tx > 1) continue;
+          const o = (row + Math.min(mw - 1, Math.floor(tx * mw))) * 4;
+          let m = pixels[o + 3] / 255;
+          if (s.luminance) {
+            m *= (0.299 * pixels[o] + 0.587 * pixels[o + 1] + 0.114 * pixels[o + 2]) / 255;
+          }
+          const k = j * w + i;
+          r[k] += s.color.r * m;
+          g[k] += s.color.g * m;
+          b[k] += s.color.b * m;
+        }
+      }
+    }
+
+    // Vertical push for scroll momentum, same profile as the shear shader.
+    // `force` is in viewport heights per second.
+    function shear (force) {
+      const amount = force * h;
+      for (let i = 0; i < w; i++) {
+        const edge = ((i + 0.5) / w) * 2 - 1;
+        const dv = amount * (1 - config.SCROLL_SHEAR * edge * edge);
+        for (let j = 0; j < h; j++) {
+          v[j * w + i] += dv;
+        }
+      }
+    }
+
+    // ─── Render ───────────────────────────────────────────────────
+
+    function render () {
+      const data = image.data;
+      const back = config.BACK_COLOR;
+      for (let j = 0; j < h; j++) {
+        // Grid rows run bottom-up, image rows top-down
+        const row = (h - 1 - j) * w;
+        for (let i = 0; i < w; i++) {
+          const k = j * w + i;
+          const o = (row + i) * 4;
+          data[o]     = Math.min(255, (r[k] + back.r) * 255);
+          data[o + 1] = Math.min(255, (g[k] + back.g) * 255);
+          data[o + 2] = Math.min(255, (b[k] + back.b) * 255);
+          data[o + 3] = 255;
+        }
+      }
+      ctx.putImageData(image, 0, 0);
+    }
+
+    resize();
+
+    return {
+      name: 'canvas2d',
+      debugViews: ['dye'],
+      splat,
+      stamp,
+      shear,
+      step,
+      render,
+      beforeFrame () {
+        if (canvas.clientWidth !== clientWidth || canvas.clientHeight !== clientHeight) {
+          resize();
+        }
+      },
+      describe () {
+        return [
+          ['backend', 'canvas2d'],
+          ['grid', w + '×' + h],
+          ['solver', 'jacobi × ' + config.PRESSURE_ITERATIONS],
+        ];
+      },
+      rebuild (keys) {
+        if (keys.indexOf('CPU_RESOLUTION') !== -1) resize();
+      },
+    };
+  }
+
+  window.createCpuFluid = createCpuFluid;
+})();
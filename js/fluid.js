@@ -6,14 +6,54 @@
  *
  * Implements a GPU-based Navier-Stokes solver with:
  *   - Advection, divergence, curl, vorticity, pressure, gradient subtraction
- *   - Double-buffered framebuffers (ping-pong)
- *   - Pointer-reactive splats
+ *   - Temperature field with buoyancy and dye weight, for smoke-like plumes
+ *   - Jacobi or multigrid V-cycle pressure solve (config.PRESSURE_SOLVER)
+ *   - Double-buffered framebuffers (ping-pong), resampled on resize
+ *   - Pointer-reactive splats (every active mouse, pen and touch contact)
+ *   - Scroll momentum applied as a vertical shear force
+ *   - Solid obstacles from [data-fluid-obstacle] page elements
+ *   - Multi-level bloom (threshold + soft knee prefilter, down/up blur chain)
+ *   - Sunrays (radial light scattering multiplied into the composite)
+ *   - Adaptive quality governor driven by measured frame time
+ *   - Canvas2D CPU fallback (fluid-cpu.js) when WebGL can't run the solver
+ *   - Context-loss recovery; a static gradient if the context never returns
+ *   - Seeded, fixed-timestep mode via ?seed= (deterministic.js)
+ *   - Debug overlay (?debug=fluid or the ` key): solver fields in false
+ *     color plus a HUD with FPS, GPU step time, resolutions and formats
+ *
+ * Other scripts can drive the effect through `window.Fluid`:
+ *
+ *   Fluid.splat(x, y, dx, dy, color, heat)
+ *                                     x/y in 0..1 from the top-left of the
+ *                                     viewport, dx/dy in the same units per
+ *                                     frame; color is {r,g,b}, [r,g,b] or
+ *                                     '#rrggbb', applied at full strength
+ *                                     (palette splats use a quarter), and
+ *                                     defaults to a palette color; heat is
+ *                                     added to the temperature field
+ *   Fluid.stamp(source, options)      paint text (a string) or an image/canvas
+ *                                     into the dye, where the flow carries it
+ *                                     off; options are x/y (centre, same axes
+ *                                     as splat), width (share of viewport
+ *                                     width), color, font and mask ('alpha',
+ *                                     or 'luminance' for opaque images)
+ *   Fluid.setConfig(partial)          merge keys into `config`, rebuilding
+ *                                     buffers where needed
+ *   Fluid.setPalette(colors)          replace the splat palette (same color
+ *                                     forms as above)
+ *   Fluid.pause() / Fluid.resume()    stop and restart the animation loop
+ *   Fluid.onFrame(fn)                 call fn(dt) after every rendered frame;
+ *                                     returns an unsubscribe function
+ *   Fluid.getQuality()                current quality tier name
+ *   Fluid.setDebugView(view)          'dye', 'velocity', 'pressure', 'curl',
+ *                                     'divergence', 'temperature', or null to
+ *                                     hide the overlay
  */
 
 (function () {
   'use strict';
 
-  const canvas = document.getElementById('fluid-canvas');
+  let canvas = document.getElementById('fluid-canvas');
   if (!canvas) return;
 
   const config = {
@@ -23,16 +63,56 @@
     VELOCITY_DISSIPATION: 0.6,
     PRESSURE: 0.8,
     PRESSURE_ITERATIONS: 20,
+    PRESSURE_SOLVER: 'jacobi',   // 'jacobi' or 'multigrid'
+    MULTIGRID_CYCLES: 1,         // V-cycles per frame
+    MULTIGRID_SMOOTHING: 2,      // damped Jacobi sweeps before and after each coarse correction
+    MULTIGRID_COARSE_ITERATIONS: 8,
     CURL: 30,
+    TEMPERATURE: false,
+    TEMPERATURE_DISSIPATION: 0.8,
+    BUOYANCY: 2.0,               // lift per unit of temperature, in viewport heights/s²
+    GRAVITY: 0.05,               // sink per unit of dye brightness, same units
+    SPLAT_HEAT: 0.4,             // heat carried by pointer splats
+    AUTO_SPLAT_HEAT: 1.0,        // heat carried by ambient splats, which then rise from the bottom
     SPLAT_RADIUS: 0.3,
     SPLAT_FORCE: 6000,
     COLOR_UPDATE_SPEED: 10,
     BACK_COLOR: { r: 0.02, g: 0.02, b: 0.02 },
     TRANSPARENT: false,
     BLOOM: false,
+    BLOOM_ITERATIONS: 8,
+    BLOOM_RESOLUTION: 256,
+    BLOOM_INTENSITY: 0.6,
+    BLOOM_THRESHOLD: 0.1,
+    BLOOM_SOFT_KNEE: 0.7,
+    SUNRAYS: false,
+    SUNRAYS_RESOLUTION: 196,
+    SUNRAYS_WEIGHT: 0.5,
     PAUSED: false,
+    OBSTACLES: true,
+    OBSTACLE_SELECTOR: '[data-fluid-obstacle]',
+    OBSTACLE_PADDING: 6,
+    QUALITY_GOVERNOR: true,
+    QUALITY_WINDOW: 90,          // frames averaged per decision
+    QUALITY_DOWNGRADE_MS: 24,    // step down when the average is slower than this
+    QUALITY_UPGRADE_MS: 18,      // step up only when it is faster than this…
+    QUALITY_UPGRADE_AFTER: 8,    // …for this many seconds in a row
+    QUALITY_COOLDOWN: 2,         // seconds to ignore after any tier change
+    CPU_RESOLUTION: 64,          // grid size of the Canvas2D fallback
+    SCROLL_FORCE: true,
+    SCROLL_STRENGTH: 0.15,       // share of the page's scroll speed handed to the fluid each frame
+    SCROLL_DIRECTION: 1,         // 1 = drag along with the content, -1 = push against it
+    SCROLL_SHEAR: 0.8,           // 0 = uniform push, 1 = none at the side edges
+    SCROLL_ON_TOUCH: false,      // coarse-pointer devices scroll on a busy main thread already
   };
 
+  // Ordered lowest to highest; the governor starts at the top and walks down
+  const QUALITY_TIERS = [
+    { name: 'low',    SIM_RESOLUTION: 64,  DYE_RESOLUTION: 256,  PRESSURE_ITERATIONS: 8 },
+    { name: 'medium', SIM_RESOLUTION: 96,  DYE_RESOLUTION: 512,  PRESSURE_ITERATIONS: 12 },
+    { name: 'high',   SIM_RESOLUTION: 128, DYE_RESOLUTION: 1024, PRESSURE_ITERATIONS: 20 },
+  ];
+
   // Accent green palette for splats
   const PALETTE = [
     [0.0, 0.91, 0.43],   // #00e86e
@@ -42,11 +122,665 @@
     [0.0, 0.4, 0.2],     // very dark green
   ];
 
+  function toColor (value) {
+    if (Array.isArray(value)) {
+      return { r: value[0], g: value[1], b: value[2] };
+    }
+    if (typeof value === 'string') {
+      const hex = parseInt(value.replace('#', ''), 16);
+      return { r: ((hex >> 16) & 255) / 255, g: ((hex >> 8) & 255) / 255, b: (hex & 255) / 255 };
+    }
+    return { r: value.r, g: value.g, b: value.b };
+  }
+
+  // Seeded under ?seed=, Math.random otherwise — see deterministic.js
+  const deterministic = window.Deterministic || { enabled: false, frameLimit: 0, createRandom: () => Math.random };
+  const random = deterministic.createRandom('fluid');
+
+  if (deterministic.enabled) {
+    // Frame-time driven tier changes would make two runs diverge
+    config.QUALITY_GOVERNOR = false;
+    deterministic.register('fluid');
+  }
+
   function getRandomColor () {
-    const c = PALETTE[Math.floor(Math.random() * PALETTE.length)];
+    const c = PALETTE[Math.floor(random() * PALETTE.length)];
     return { r: c[0] * 0.25, g: c[1] * 0.25, b: c[2] * 0.25 };
   }
 
+  // The active solver: the WebGL backend at the bottom of this file, or the
+  // Canvas2D fallback. Exposes name, splat(), step(), render(), beforeFrame()
+  // and rebuild(changedKeys).
+  let sim = null;
+
+  // ─── Pointer Tracking ─────────────────────────────────────────
+
+  // One entry per active mouse, pen or touch contact, keyed by a
+  // source-prefixed id so touch identifiers never collide with pointerIds.
+  const pointers = [];
+
+  function createPointer (id) {
+    return {
+      id,
+      texcoordX: 0,
+      texcoordY: 0,
+      prevTexcoordX: 0,
+      prevTexcoordY: 0,
+      deltaX: 0,
+      deltaY: 0,
+      down: false,
+      moved: false,
+      color: getRandomColor(),
+    };
+  }
+
+  function findPointer (id) {
+    for (let i = 0; i < pointers.length; i++) {
+      if (pointers[i].id === id) return pointers[i];
+    }
+    return null;
+  }
+
+  function removePointer (id) {
+    for (let i = 0; i < pointers.length; i++) {
+      if (pointers[i].id === id) {
+        pointers.splice(i, 1);
+        return;
+      }
+    }
+  }
+
+  function updatePointerDownData (id, clientX, clientY) {
+    let p = findPointer(id);
+    if (!p) {
+      p = createPointer(id);
+      pointers.push(p);
+    }
+    p.down = true;
+    p.moved = false;
+    p.texcoordX = clientX / canvas.clientWidth;
+    p.texcoordY = 1.0 - clientY / canvas.clientHeight;
+    p.prevTexcoordX = p.texcoordX;
+    p.prevTexcoordY = p.texcoordY;
+    p.deltaX = 0;
+    p.deltaY = 0;
+    p.color = getRandomColor();
+    return p;
+  }
+
+  function updatePointerMoveData (p, clientX, clientY) {
+    p.prevTexcoordX = p.texcoordX;
+    p.prevTexcoordY = p.texcoordY;
+    p.texcoordX = clientX / canvas.clientWidth;
+    p.texcoordY = 1.0 - clientY / canvas.clientHeight;
+    p.deltaX = correctDeltaX(p.texcoordX - p.prevTexcoordX);
+    p.deltaY = correctDeltaY(p.texcoordY - p.prevTexcoordY);
+    p.moved = Math.abs(p.deltaX) > 0 || Math.abs(p.deltaY) > 0;
+  }
+
+  canvas.style.pointerEvents = 'none';
+
+  // Mouse and pen go through pointer events. A hovering mouse still stirs
+  // the fluid, so it gets an entry on its first move without a button press.
+  // Touch is handled by the touch listeners below: the browser cancels touch
+  // pointers as soon as it starts scrolling, touch events keep flowing.
+
+  window.addEventListener('pointerdown', (e) => {
+    if (e.pointerType === 'touch') return;
+    updatePointerDownData('pointer:' + e.pointerId, e.clientX, e.clientY);
+  });
+
+  window.addEventListener('pointermove', (e) => {
+    if (e.pointerType === 'touch') return;
+    const id = 'pointer:' + e.pointerId;
+    const p = findPointer(id) || updatePointerDownData(id, e.clientX, e.clientY);
+    updatePointerMoveData(p, e.clientX, e.clientY);
+  });
+
+  window.addEventListener('pointerup', (e) => {
+    if (e.pointerType === 'touch') return;
+    removePointer('pointer:' + e.pointerId);
+  });
+
+  window.addEventListener('pointercancel', (e) => {
+    if (e.pointerType === 'touch') return;
+    removePointer('pointer:' + e.pointerId);
+  });
+
+  window.addEventListener('touchstart', (e) => {
+    const touches = e.changedTouches;
+    for (let i = 0; i < touches.length; i++) {
+      updatePointerDownData('touch:' + touches[i].identifier, touches[i].clientX, touches[i].clientY);
+    }
+  }, { passive: true });
+
+  window.addEventListener('touchmove', (e) => {
+    const touches = e.changedTouches;
+    for (let i = 0; i < touches.length; i++) {
+      const id = 'touch:' + touches[i].identifier;
+      const p = findPointer(id) || updatePointerDownData(id, touches[i].clientX, touches[i].clientY);
+      updatePointerMoveData(p, touches[i].clientX, touches[i].clientY);
+    }
+  }, { passive: true });
+
+  function onTouchEnd (e) {
+    const touches = e.changedTouches;
+    for (let i = 0; i < touches.length; i++) {
+      removePointer('touch:' + touches[i].identifier);
+    }
+  }
+
+  window.addEventListener('touchend', onTouchEnd, { passive: true });
+  window.addEventListener('touchcancel', onTouchEnd, { passive: true });
+
+  function correctDeltaX (delta) {
+    const aspectRatio = canvas.width / canvas.height;
+    return aspectRatio < 1 ? delta * aspectRatio : delta;
+  }
+
+  function correctDeltaY (delta) {
+    const aspectRatio = canvas.width / canvas.height;
+    return aspectRatio > 1 ? delta / aspectRatio : delta;
+  }
+
+  // ─── Auto-splats (ambient motion) ─────────────────────────────
+
+  let autoSplatTimer = 0;
+
+  // With heat on, ambient splats start along the bottom edge and rise as
+  // plumes instead of blooming in place.
+  function autoSplat (dt) {
+    autoSplatTimer += dt;
+    if (autoSplatTimer > 0.4) {
+      autoSplatTimer = 0;
+      const heat = config.TEMPERATURE ? config.AUTO_SPLAT_HEAT : 0;
+      const x = random();
+      const y = heat > 0 ? random() * 0.15 : random();
+      const dx = (random() - 0.5) * 0.0003;
+      const dy = (random() - 0.5) * 0.0003;
+      const color = getRandomColor();
+      sim.splat(x, y, dx, dy, color, heat);
+    }
+  }
+
+  // ─── Scroll Momentum ──────────────────────────────────────────
+
+  // Scroll distance is accumulated between frames and handed to the backend
+  // as a vertical push in viewport heights per second, strongest down the
+  // middle so the sides lag behind and the field shears. Dissipation lets it
+  // settle once the page stops.
+  const MAX_SCROLL_SPEED = 3;   // viewport heights per second; caps anchor jumps
+  const coarsePointer = !!window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
+
+  let scrollDelta = 0;
+  let lastScrollY = window.scrollY;
+
+  window.addEventListener('scroll', () => {
+    scrollDelta += window.scrollY - lastScrollY;
+    lastScrollY = window.scrollY;
+  }, { passive: true });
+
+  function applyScrollForce (dt) {
+    const delta = scrollDelta;
+    scrollDelta = 0;
+    if (!config.SCROLL_FORCE || delta === 0 || dt <= 0) return;
+    if (coarsePointer && !config.SCROLL_ON_TOUCH) return;
+
+    // Scrolling down moves the content up, and texture y runs bottom-up
+    let speed = delta / canvas.clientHeight / dt;
+    speed = Math.max(-MAX_SCROLL_SPEED, Math.min(MAX_SCROLL_SPEED, speed));
+    sim.shear(speed * config.SCROLL_STRENGTH * config.SCROLL_DIRECTION);
+  }
+
+  // ─── Stamps ───────────────────────────────────────────────────
+
+  // Text and images are rasterised white-on-transparent into their own 2D
+  // canvas; the backend then adds `color × mask` into the dye over the
+  // target rectangle, and advection takes it from there.
+  const STAMP_FONT = '700 160px Inter, sans-serif';
+  const STAMP_MAX_SIZE = 512;
+  const STAMP_PADDING = 8;
+
+  function createStamp (source, options) {
+    const mask = document.createElement('canvas');
+    const ctx = mask.getContext('2d');
+
+    if (typeof source === 'string') {
+      const font = options.font || STAMP_FONT;
+      ctx.font = font;
+      const metrics = ctx.measureText(source);
+      const ascent = metrics.actualBoundingBoxAscent;
+      const descent = metrics.actualBoundingBoxDescent;
+      mask.width = Math.ceil(metrics.width) + STAMP_PADDING * 2;
+      mask.height = Math.ceil(ascent + descent) + STAMP_PADDING * 2;
+      // Resizing resets the context state
+      ctx.font = font;
+      ctx.fillStyle = '#fff';
+      ctx.textBaseline = 'alphabetic';
+      ctx.fillText(source, STAMP_PADDING, STAMP_PADDING + ascent);
+    } else {
+      const width = source.naturalWidth || source.videoWidth || source.width;
+      const height = source.naturalHeight || source.videoHeight || source.height;
+      const scale = Math.min(1, STAMP_MAX_SIZE / Math.max(width, height));
+      mask.width = Math.max(1, Math.round(width * scale));
+      mask.height = Math.max(1, Math.round(height * scale));
+      ctx.drawImage(source, 0, 0, mask.width, mask.height);
+    }
+
+    // Centre and width in viewport terms; the height follows the mask's
+    // own aspect ratio. Texture y runs bottom-up.
+    const x = options.x !== undefined ? options.x : 0.5;
+    const y = 1.0 - (options.y !== undefined ? options.y : 0.5);
+    const width = options.width || 0.5;
+    const height = width * (mask.height / mask.width) * (canvas.clientWidth / canvas.clientHeight);
+
+    return {
+      mask,
+      luminance: options.mask === 'luminance',
+      x0: x - width / 2,
+      y0: y - height / 2,
+      x1: x + width / 2,
+      y1: y + height / 2,
+      color: options.color ? toColor(options.color) : getRandomColor(),
+    };
+  }
+
+  // ─── Quality Governor ─────────────────────────────────────────
+
+  // Averages frame time over a rolling window and steps the solver between
+  // QUALITY_TIERS. Hysteresis comes from three places: a gap between the
+  // downgrade and upgrade thresholds, a dwell time before any upgrade, and a
+  // dwell that doubles every time an upgrade had to be undone.
+  const governor = {
+    tier: QUALITY_TIERS.length - 1,
+    samples: [],
+    cooldown: 0,
+    fastTime: 0,
+    upgradeAfter: config.QUALITY_UPGRADE_AFTER,
+    lastChange: null,
+  };
+
+  function updateGovernor (frameMs) {
+    if (!config.QUALITY_GOVERNOR) return;
+
+    // Hidden tabs and long main-thread stalls say nothing about the GPU
+    if (frameMs <= 0 || frameMs > 250) return;
+
+    governor.samples.push(frameMs);
+    if (governor.samples.length > config.QUALITY_WINDOW) {
+      governor.samples.shift();
+    }
+
+    if (governor.cooldown > 0) {
+      governor.cooldown -= frameMs / 1000;
+      return;
+    }
+    if (governor.samples.length < config.QUALITY_WINDOW) return;
+
+    let total = 0;
+    for (let i = 0; i < governor.samples.length; i++) total += governor.samples[i];
+    const average = total / governor.samples.length;
+
+    if (average > config.QUALITY_DOWNGRADE_MS && governor.tier > 0) {
+      if (governor.lastChange === 'up') {
+        governor.upgradeAfter *= 2;
+      }
+      setQualityTier(governor.tier - 1);
+      governor.lastChange = 'down';
+    } else if (average < config.QUALITY_UPGRADE_MS && governor.tier < QUALITY_TIERS.length - 1) {
+      governor.fastTime += frameMs / 1000;
+      if (governor.fastTime >= governor.upgradeAfter) {
+        setQualityTier(governor.tier + 1);
+        governor.lastChange = 'up';
+      }
+    } else {
+      governor.fastTime = 0;
+    }
+  }
+
+  function setQualityTier (index) {
+    const tier = QUALITY_TIERS[index];
+    governor.tier = index;
+    governor.samples.length = 0;
+    governor.cooldown = config.QUALITY_COOLDOWN;
+    governor.fastTime = 0;
+
+    config.SIM_RESOLUTION = tier.SIM_RESOLUTION;
+    config.DYE_RESOLUTION = tier.DYE_RESOLUTION;
+    config.PRESSURE_ITERATIONS = tier.PRESSURE_ITERATIONS;
+    sim.rebuild(QUALITY_KEYS);
+    exposeQualityTier();
+  }
+
+  // Visible as <canvas data-fluid-quality="…"> and reported to the GTM
+  // dataLayer, so analytics shows which tier visitors settle on.
+  function exposeQualityTier () {
+    const name = getQuality();
+    canvas.dataset.fluidQuality = name;
+    if (Array.isArray(window.dataLayer)) {
+      window.dataLayer.push({ event: 'fluid_quality', fluidQuality: name });
+    }
+  }
+
+  function getQuality () {
+    if (!sim) return 'none';
+    return sim.name === 'webgl' ? QUALITY_TIERS[governor.tier].name : sim.name;
+  }
+
+  // ─── Debug Overlay ────────────────────────────────────────────
+
+  // The ` key steps through the views the backend offers (the dye, then the
+  // raw solver fields in false color) and finally hides the overlay again;
+  // [ and ] halve and double the false-color scale. The HUD rows come from
+  // the backend's describe().
+  const debug = {
+    enabled: false,
+    view: 'dye',
+    scale: 1,
+    hud: null,
+    frames: 0,
+    since: 0,
+  };
+
+  function setDebugView (view) {
+    if (!view) {
+      debug.enabled = false;
+      debug.view = 'dye';
+      if (debug.hud) debug.hud.remove();
+      debug.hud = null;
+      return;
+    }
+    if (!debug.hud) {
+      debug.hud = document.createElement('pre');
+      debug.hud.id = 'fluid-debug';
+      document.body.appendChild(debug.hud);
+    }
+    debug.enabled = true;
+    debug.view = sim && sim.debugViews.indexOf(view) !== -1 ? view : 'dye';
+    debug.frames = 0;
+    debug.since = performance.now();
+  }
+
+  function cycleDebugView () {
+    const views = sim ? sim.debugViews : ['dye'];
+    if (!debug.enabled) {
+      setDebugView(views[0]);
+      return;
+    }
+    const next = views.indexOf(debug.view) + 1;
+    setDebugView(next < views.length ? views[next] : null);
+  }
+
+  window.addEventListener('keydown', (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    const el = e.target;
+    if (el && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName))) return;
+
+    if (e.key === '`') {
+      cycleDebugView();
+    } else if (debug.enabled && e.key === ']') {
+      debug.scale *= 2;
+    } else if (debug.enabled && e.key === '[') {
+      debug.scale /= 2;
+    }
+  });
+
+  // Refreshed twice a second; dt is clamped, so FPS comes from wall time
+  function updateDebugHud () {
+    if (!debug.enabled || !sim) return;
+    debug.frames++;
+    const now = performance.now();
+    const elapsed = now - debug.since;
+    if (elapsed < 500) return;
+
+    const rows = [['fps', (debug.frames * 1000 / elapsed).toFixed(1)]]
+      .concat(sim.describe())
+      .concat([
+        ['view', debug.view + (debug.view === 'dye' ? '' : '  ×' + debug.scale)],
+        ['keys', '` view   [ ] scale'],
+      ]);
+    debug.hud.textContent = rows.map((row) => (row[0] + '          ').slice(0, 10) + row[1]).join('\n');
+    debug.frames = 0;
+    debug.since = now;
+  }
+
+  // ─── Animation Loop ───────────────────────────────────────────
+
+  let lastTime = Date.now();
+  let colorTimer = 0;
+  let running = false;
+  let frameCount = 0;
+  const frameListeners = [];
+
+  // Set while the backend can't draw (WebGL context lost, or no backend left);
+  // the loop parks itself and resume() won't restart it.
+  let suspended = false;
+
+  function update () {
+    if (suspended) {
+      running = false;
+      return;
+    }
+
+    const now = Date.now();
+    updateGovernor(now - lastTime);
+    let dt = (now - lastTime) / 1000;
+    dt = deterministic.enabled ? deterministic.FIXED_DT : Math.min(dt, 0.016667);
+    lastTime = now;
+    frameCount++;
+
+    sim.beforeFrame();
+
+    // Splats requested through the public API
+    while (splatQueue.length > 0) {
+      const s = splatQueue.shift();
+      sim.splat(s.x, s.y, s.dx, s.dy, s.color, s.heat);
+    }
+    while (stampQueue.length > 0) {
+      sim.stamp(stampQueue.shift());
+    }
+
+    // Pointer splats
+    updateColors(dt);
+    for (let i = 0; i < pointers.length; i++) {
+      const p = pointers[i];
+      if (p.moved) {
+        p.moved = false;
+        sim.splat(p.texcoordX, p.texcoordY, p.deltaX, p.deltaY, p.color, config.SPLAT_HEAT);
+      }
+    }
+
+    // Ambient splats
+    autoSplat(dt);
+
+    applyScrollForce(dt);
+
+    sim.step(dt);
+    sim.render();
+
+    // A listener that throws mustn't take the loop down with it
+    for (let i = 0; i < frameListeners.length; i++) {
+      try {
+        frameListeners[i](dt);
+      } catch (err) {
+        console.error('Fluid frame listener failed:', err);
+      }
+    }
+
+    updateDebugHud();
+
+    if (deterministic.frameLimit > 0 && frameCount === deterministic.frameLimit) {
+      pause();
+      deterministic.settle('fluid');
+    }
+
+    if (config.PAUSED) {
+      running = false;
+      return;
+    }
+    requestAnimationFrame(update);
+  }
+
+  function updateColors (dt) {
+    colorTimer += dt * config.COLOR_UPDATE_SPEED;
+    if (colorTimer >= 1) {
+      colorTimer %= 1;
+      pointers.forEach((p) => { p.color = getRandomColor(); });
+    }
+  }
+
+  function initialSplats () {
+    for (let i = 0; i < 4; i++) {
+      const color = getRandomColor();
+      const x = random();
+      const y = random();
+      const dx = (random() - 0.5) * 0.001;
+      const dy = (random() - 0.5) * 0.001;
+      sim.splat(x, y, dx, dy, color);
+    }
+  }
+
+  // Called once a backend is in place
+  function start () {
+    exposeQualityTier();
+    if (new URLSearchParams(window.location.search).get('debug') === 'fluid') {
+      setDebugView('dye');
+    }
+    initialSplats();
+    running = true;
+    update();
+  }
+
+  // ─── Public API ───────────────────────────────────────────────
+
+  const splatQueue = [];
+  const stampQueue = [];
+
+  const QUALITY_KEYS = ['SIM_RESOLUTION', 'DYE_RESOLUTION', 'PRESSURE_ITERATIONS'];
+
+  function pause () {
+    config.PAUSED = true;
+  }
+
+  function resume () {
+    config.PAUSED = false;
+    if (running || suspended) return;
+    running = true;
+    lastTime = Date.now();
+    requestAnimationFrame(update);
+  }
+
+  function setConfig (partial) {
+    const changedKeys = Object.keys(partial).filter((k) => k in config && k !== 'PAUSED' && partial[k] !== config[k]);
+
+    // Hand-picked quality wins over the governor unless it is re-enabled too
+    if (QUALITY_KEYS.some((k) => changedKeys.indexOf(k) !== -1) && !('QUALITY_GOVERNOR' in partial)) {
+      config.QUALITY_GOVERNOR = false;
+    }
+
+    changedKeys.forEach((key) => {
+      config[key] = partial[key];
+    });
+
+    if (sim) sim.rebuild(changedKeys);
+
+    if ('PAUSED' in partial) {
+      partial.PAUSED ? pause() : resume();
+    }
+  }
+
+  function setPalette (colors) {
+    if (!colors || colors.length === 0) return;
+    PALETTE.length = 0;
+    colors.forEach((value) => {
+      const c = toColor(value);
+      PALETTE.push([c.r, c.g, c.b]);
+    });
+    pointers.forEach((p) => { p.color = getRandomColor(); });
+  }
+
+  window.Fluid = {
+    splat (x, y, dx, dy, color, heat) {
+      // Nothing drains the queue while the loop is parked
+      if (suspended) return;
+      splatQueue.push({
+        x,
+        y: 1.0 - y,
+        dx: correctDeltaX(dx || 0),
+        dy: correctDeltaY(-(dy || 0)),
+        color: color ? toColor(color) : getRandomColor(),
+        heat: heat || 0,
+      });
+    },
+    stamp (source, options) {
+      if (suspended || !source) return;
+      stampQueue.push(createStamp(source, options || {}));
+    },
+    setConfig,
+    setPalette,
+    pause,
+    resume,
+    onFrame (fn) {
+      frameListeners.push(fn);
+      return () => {
+        const i = frameListeners.indexOf(fn);
+        if (i !== -1) frameListeners.splice(i, 1);
+      };
+    },
+    getQuality,
+    setDebugView,
+  };
+
+  // ─── Canvas2D Fallback ────────────────────────────────────────
+
+  // A canvas that has handed out a WebGL context can never give a 2D one, and
+  // one whose context was lost keeps showing the last frame — swap in a fresh
+  // element either way.
+  function replaceCanvas () {
+    const fresh = canvas.cloneNode(false);
+    canvas.replaceWith(fresh);
+    canvas = fresh;
+  }
+
+  // Without WebGL, without renderable half-float targets, or when the solver
+  // shaders don't compile, the CPU solver from fluid-cpu.js takes over at low
+  // resolution. Bloom, sunrays, obstacles and the quality governor are
+  // WebGL-only. Safe to call from inside a running frame: the loop simply
+  // picks up the new backend on its next tick.
+  function startCpuFallback () {
+    if (typeof window.createCpuFluid !== 'function') {
+      showStaticBackground();
+      return;
+    }
+
+    replaceCanvas();
+
+    config.BLOOM = false;
+    config.SUNRAYS = false;
+    config.QUALITY_GOVERNOR = false;
+
+    sim = window.createCpuFluid(canvas, config);
+    if (!sim) {
+      showStaticBackground();
+    } else if (running) {
+      exposeQualityTier();
+    } else {
+      start();
+    }
+  }
+
+  // Last resort: no simulation at all, just the CSS gradient behind an empty
+  // canvas (#fluid-canvas.is-static). Listeners and the public API stay in
+  // place and become no-ops.
+  function showStaticBackground () {
+    suspended = true;
+    sim = null;
+    replaceCanvas();
+    canvas.classList.add('is-static');
+    exposeQualityTier();
+    if (deterministic.enabled) deterministic.settle('fluid');
+  }
+
   // ─── WebGL Setup ───────────────────────────────────────────────
 
   function getWebGLContext (canvas) {
@@ -94,6 +828,7 @@
     return {
       gl,
       ext: {
+        isWebGL2,
         formatRGBA,
         formatRG,
         formatR,
@@ -134,10 +869,46 @@
   }
 
   const context = getWebGLContext(canvas);
-  if (!context) return;
+  if (!context || !context.ext.formatRGBA || !context.ext.formatRG) {
+    startCpuFallback();
+    return;
+  }
 
   const { gl, ext } = context;
 
+  // The browser may drop the context at any time (GPU reset, driver update,
+  // too many live contexts). Park the loop until it comes back; if it
+  // doesn't within RESTORE_TIMEOUT, or can't be rebuilt, keep a static
+  // background instead.
+  const RESTORE_TIMEOUT = 5000;
+  let restoreTimer = null;
+
+  canvas.addEventListener('webglcontextlost', (e) => {
+    if (e.target !== canvas) return;
+    // Without preventDefault the browser never attempts a restore
+    e.preventDefault();
+    suspended = true;
+    restoreTimer = setTimeout(showStaticBackground, RESTORE_TIMEOUT);
+  });
+
+  canvas.addEventListener('webglcontextrestored', (e) => {
+    clearTimeout(restoreTimer);
+    // Too late: the static background has already taken over
+    if (e.target !== canvas) return;
+    if (!restoreContext()) {
+      showStaticBackground();
+      return;
+    }
+    suspended = false;
+    if (!config.PAUSED) resume();
+  });
+
+  // The blur chain relies on bilinear taps between texels; without linear
+  // filtering on half-float targets it degenerates into blocky smears.
+  if (!ext.supportLinearFiltering) {
+    config.BLOOM = false;
+  }
+
   function resizeCanvas () {
     const dpr = Math.min(window.devicePixelRatio || 1, 2);
     if (canvas.width !== Math.floor(canvas.clientWidth * dpr) ||
@@ -151,6 +922,14 @@
 
   // ─── Shader Compilation ────────────────────────────────────────
 
+  // Shaders and programs are kept with their sources so the whole set can be
+  // rebuilt after a context loss. A failed compile or link leaves a null
+  // handle behind and sets `shaderFailed`; the backend checks it before it
+  // starts and after every rebuild.
+  const shaders = [];
+  const programs = [];
+  let shaderFailed = false;
+
   const baseVertexShader = compileShader(gl.VERTEX_SHADER, `
     precision highp float;
     attribute vec2 aPosition;
@@ -181,16 +960,195 @@
     }
   `);
 
-  const displayShader = compileShader(gl.FRAGMENT_SHADER, `
+  const copyShader = compileShader(gl.FRAGMENT_SHADER, `
+    precision highp float;
+    precision highp sampler2D;
+    varying vec2 vUv;
+    uniform sampler2D uTexture;
+    uniform vec4 scale;
+    void main () {
+      gl_FragColor = scale * texture2D(uTexture, vUv);
+    }
+  `);
+
+  // Compiled per keyword set on demand — see getDisplayProgram()
+  const displayShaderSource = `
     precision highp float;
     precision highp sampler2D;
     varying vec2 vUv;
     uniform sampler2D uTexture;
+    uniform sampler2D uBloom;
+    uniform sampler2D uSunrays;
     uniform vec3 backColor;
     void main () {
       vec3 c = texture2D(uTexture, vUv).rgb;
+    #ifdef SUNRAYS
+      float sunrays = texture2D(uSunrays, vUv).r;
+      c *= sunrays;
+    #endif
+    #ifdef BLOOM
+      vec3 bloom = texture2D(uBloom, vUv).rgb;
+    #ifdef SUNRAYS
+      bloom *= sunrays;
+    #endif
+      bloom = pow(max(bloom, vec3(0.0)), vec3(1.0 / 2.2));
+      c += bloom;
+    #endif
       gl_FragColor = vec4(c + backColor, 1.0);
     }
+  `;
+
+  // Debug overlay: vector fields map x/y to red/green around mid-grey,
+  // scalar fields go blue (negative) through black to orange (positive).
+  // The square root keeps small values visible next to large ones.
+  const debugShader = compileShader(gl.FRAGMENT_SHADER, `
+    precision highp float;
+    precision highp sampler2D;
+    varying vec2 vUv;
+    uniform sampler2D uTexture;
+    uniform float scale;
+    uniform bool vectorField;
+    void main () {
+      vec4 value = texture2D(uTexture, vUv) * scale;
+      vec3 c;
+      if (vectorField) {
+        vec2 v = clamp(value.xy, -1.0, 1.0);
+        c = vec3(0.5 + 0.5 * sign(v) * sqrt(abs(v)), 0.5);
+      } else {
+        float x = clamp(value.x, -1.0, 1.0);
+        float m = sqrt(abs(x));
+        c = x >= 0.0 ? vec3(1.0, 0.55, 0.1) * m : vec3(0.1, 0.55, 1.0) * m;
+      }
+      gl_FragColor = vec4(c, 1.0);
+    }
+  `);
+
+  // Separable 5-tap Gaussian folded into 3 linear taps; the vertex stage
+  // places the outer taps so bilinear filtering does the rest.
+  const blurVertexShader = compileShader(gl.VERTEX_SHADER, `
+    precision highp float;
+    attribute vec2 aPosition;
+    varying vec2 vUv;
+    varying vec2 vL;
+    varying vec2 vR;
+    uniform vec2 texelSize;
+    void main () {
+      vUv = aPosition * 0.5 + 0.5;
+      float offset = 1.33333333;
+      vL = vUv - texelSize * offset;
+      vR = vUv + texelSize * offset;
+      gl_Position = vec4(aPosition, 0.0, 1.0);
+    }
+  `);
+
+  const blurShader = compileShader(gl.FRAGMENT_SHADER, `
+    precision mediump float;
+    precision mediump sampler2D;
+    varying vec2 vUv;
+    varying vec2 vL;
+    varying vec2 vR;
+    uniform sampler2D uTexture;
+    void main () {
+      vec4 sum = texture2D(uTexture, vUv) * 0.29411764;
+      sum += texture2D(uTexture, vL) * 0.35294117;
+      sum += texture2D(uTexture, vR) * 0.35294117;
+      gl_FragColor = sum;
+    }
+  `);
+
+  const sunraysMaskShader = compileShader(gl.FRAGMENT_SHADER, `
+    precision highp float;
+    precision highp sampler2D;
+    varying vec2 vUv;
+    uniform sampler2D uTexture;
+    void main () {
+      vec4 c = texture2D(uTexture, vUv);
+      float br = max(c.r, max(c.g, c.b));
+      c.a = 1.0 - min(max(br * 20.0, 0.0), 0.8);
+      gl_FragColor = c;
+    }
+  `);
+
+  // Radial light scattering: march from each pixel toward the screen centre,
+  // accumulating the occlusion mask with exponential decay.
+  const sunraysShader = compileShader(gl.FRAGMENT_SHADER, `
+    precision highp float;
+    precision highp sampler2D;
+    varying vec2 vUv;
+    uniform sampler2D uTexture;
+    uniform float weight;
+    #define ITERATIONS 16
+    void main () {
+      float density = 0.3;
+      float decay = 0.95;
+      float exposure = 0.7;
+      vec2 coord = vUv;
+      vec2 dir = vUv - 0.5;
+      dir *= 1.0 / float(ITERATIONS) * density;
+      float illuminationDecay = 1.0;
+      float color = texture2D(uTexture, vUv).a;
+      for (int i = 0; i < ITERATIONS; i++) {
+        coord -= dir;
+        float col = texture2D(uTexture, coord).a;
+        color += col * illuminationDecay * weight;
+        illuminationDecay *= decay;
+      }
+      gl_FragColor = vec4(color * exposure, 0.0, 0.0, 1.0);
+    }
+  `);
+
+  const bloomPrefilterShader = compileShader(gl.FRAGMENT_SHADER, `
+    precision mediump float;
+    precision mediump sampler2D;
+    varying vec2 vUv;
+    uniform sampler2D uTexture;
+    uniform vec3 curve;
+    uniform float threshold;
+    void main () {
+      vec3 c = texture2D(uTexture, vUv).rgb;
+      float br = max(c.r, max(c.g, c.b));
+      float rq = clamp(br - curve.x, 0.0, curve.y);
+      rq = curve.z * rq * rq;
+      c *= max(rq, br - threshold) / max(br, 0.0001);
+      gl_FragColor = vec4(c, 0.0);
+    }
+  `);
+
+  const bloomBlurShader = compileShader(gl.FRAGMENT_SHADER, `
+    precision mediump float;
+    precision mediump sampler2D;
+    varying vec2 vL;
+    varying vec2 vR;
+    varying vec2 vT;
+    varying vec2 vB;
+    uniform sampler2D uTexture;
+    void main () {
+      vec4 sum = vec4(0.0);
+      sum += texture2D(uTexture, vL);
+      sum += texture2D(uTexture, vR);
+      sum += texture2D(uTexture, vT);
+      sum += texture2D(uTexture, vB);
+      gl_FragColor = sum * 0.25;
+    }
+  `);
+
+  const bloomFinalShader = compileShader(gl.FRAGMENT_SHADER, `
+    precision mediump float;
+    precision mediump sampler2D;
+    varying vec2 vL;
+    varying vec2 vR;
+    varying vec2 vT;
+    varying vec2 vB;
+    uniform sampler2D uTexture;
+    uniform float intensity;
+    void main () {
+      vec4 sum = vec4(0.0);
+      sum += texture2D(uTexture, vL);
+      sum += texture2D(uTexture, vR);
+      sum += texture2D(uTexture, vT);
+      sum += texture2D(uTexture, vB);
+      gl_FragColor = sum * 0.25 * intensity;
+    }
   `);
 
   const splatShader = compileShader(gl.FRAGMENT_SHADER, `
@@ -211,12 +1169,34 @@
     }
   `);
 
+  const stampShader = compileShader(gl.FRAGMENT_SHADER, `
+    precision highp float;
+    precision highp sampler2D;
+    varying vec2 vUv;
+    uniform sampler2D uTarget;
+    uniform sampler2D uMask;
+    uniform vec4 rect;
+    uniform vec3 color;
+    uniform bool luminance;
+    void main () {
+      vec2 st = (vUv - rect.xy) / (rect.zw - rect.xy);
+      float mask = 0.0;
+      if (st.x >= 0.0 && st.x <= 1.0 && st.y >= 0.0 && st.y <= 1.0) {
+        vec4 m = texture2D(uMask, st);
+        mask = luminance ? dot(m.rgb, vec3(0.299, 0.587, 0.114)) * m.a : m.a;
+      }
+      vec3 base = texture2D(uTarget, vUv).xyz;
+      gl_FragColor = vec4(base + color * mask, 1.0);
+    }
+  `);
+
   const advectionShader = compileShader(gl.FRAGMENT_SHADER, `
     precision highp float;
     precision highp sampler2D;
     varying vec2 vUv;
     uniform sampler2D uVelocity;
     uniform sampler2D uSource;
+    uniform sampler2D uObstacles;
     uniform vec2 texelSize;
     uniform vec2 dyeTexelSize;
     uniform float dt;
@@ -232,6 +1212,10 @@
       return mix(mix(a, b, fuv.x), mix(c, d, fuv.x), fuv.y);
     }
     void main () {
+      if (texture2D(uObstacles, vUv).x > 0.5) {
+        gl_FragColor = vec4(0.0);
+        return;
+      }
       vec2 coord = vUv - dt * bilerp(uVelocity, vUv, texelSize).xy * texelSize;
       vec4 result = bilerp(uSource, coord, dyeTexelSize);
       float decay = 1.0 + dissipation * dt;
@@ -248,16 +1232,17 @@
     varying highp vec2 vT;
     varying highp vec2 vB;
     uniform sampler2D uVelocity;
+    uniform sampler2D uObstacles;
     void main () {
       float L = texture2D(uVelocity, vL).x;
       float R = texture2D(uVelocity, vR).x;
       float T = texture2D(uVelocity, vT).y;
       float B = texture2D(uVelocity, vB).y;
       vec2 C = texture2D(uVelocity, vUv).xy;
-      if (vL.x < 0.0) L = -C.x;
-      if (vR.x > 1.0) R = -C.x;
-      if (vT.y > 1.0) T = -C.y;
-      if (vB.y < 0.0) B = -C.y;
+      if (vL.x < 0.0 || texture2D(uObstacles, vL).x > 0.5) L = -C.x;
+      if (vR.x > 1.0 || texture2D(uObstacles, vR).x > 0.5) R = -C.x;
+      if (vT.y > 1.0 || texture2D(uObstacles, vT).x > 0.5) T = -C.y;
+      if (vB.y < 0.0 || texture2D(uObstacles, vB).x > 0.5) B = -C.y;
       float div = 0.5 * (R - L + T - B);
       gl_FragColor = vec4(div, 0.0, 0.0, 1.0);
     }
@@ -305,7 +1290,42 @@
       force *= curl * C;
       force.y *= -1.0;
       vec2 vel = texture2D(uVelocity, vUv).xy;
-      gl_FragColor = vec4(vel + force * dt, 0.0, 1.0);
+      gl_FragColor = vec4(vel + force * dt, 0.0, 1.0);
+    }
+  `);
+
+  const shearShader = compileShader(gl.FRAGMENT_SHADER, `
+    precision highp float;
+    precision highp sampler2D;
+    varying vec2 vUv;
+    uniform sampler2D uVelocity;
+    uniform float force;
+    uniform float shear;
+    void main () {
+      vec2 vel = texture2D(uVelocity, vUv).xy;
+      float edge = vUv.x * 2.0 - 1.0;
+      vel.y += force * (1.0 - shear * edge * edge);
+      gl_FragColor = vec4(vel, 0.0, 1.0);
+    }
+  `);
+
+  // Boussinesq-style buoyancy: warm fluid rises, dye weighs the flow down
+  const buoyancyShader = compileShader(gl.FRAGMENT_SHADER, `
+    precision highp float;
+    precision highp sampler2D;
+    varying vec2 vUv;
+    uniform sampler2D uVelocity;
+    uniform sampler2D uTemperature;
+    uniform sampler2D uDensity;
+    uniform float buoyancy;
+    uniform float gravity;
+    uniform float dt;
+    void main () {
+      vec2 vel = texture2D(uVelocity, vUv).xy;
+      float temperature = texture2D(uTemperature, vUv).x;
+      float density = dot(texture2D(uDensity, vUv).rgb, vec3(0.299, 0.587, 0.114));
+      vel.y += dt * (buoyancy * temperature - gravity * density);
+      gl_FragColor = vec4(vel, 0.0, 1.0);
     }
   `);
 
@@ -319,15 +1339,94 @@
     varying highp vec2 vB;
     uniform sampler2D uPressure;
     uniform sampler2D uDivergence;
+    uniform sampler2D uObstacles;
+    uniform float hsq;
+    uniform float omega;
     void main () {
       float L = texture2D(uPressure, vL).x;
       float R = texture2D(uPressure, vR).x;
       float T = texture2D(uPressure, vT).x;
       float B = texture2D(uPressure, vB).x;
       float C = texture2D(uPressure, vUv).x;
+      // Solid neighbours mirror the centre pressure (no flow through walls)
+      if (texture2D(uObstacles, vL).x > 0.5) L = C;
+      if (texture2D(uObstacles, vR).x > 0.5) R = C;
+      if (texture2D(uObstacles, vT).x > 0.5) T = C;
+      if (texture2D(uObstacles, vB).x > 0.5) B = C;
       float divergence = texture2D(uDivergence, vUv).x;
-      float pressure = (L + R + B + T - divergence) * 0.25;
-      gl_FragColor = vec4(pressure, 0.0, 0.0, 1.0);
+      float pressure = (L + R + B + T - hsq * divergence) * 0.25;
+      gl_FragColor = vec4(mix(C, pressure, omega), 0.0, 0.0, 1.0);
+    }
+  `);
+
+  // ─── Multigrid ─── residual, restriction and prolongation for the V-cycle.
+  // hsq is the squared cell size of a level relative to the sim grid.
+
+  const residualShader = compileShader(gl.FRAGMENT_SHADER, `
+    precision highp float;
+    precision highp sampler2D;
+    varying vec2 vUv;
+    varying vec2 vL;
+    varying vec2 vR;
+    varying vec2 vT;
+    varying vec2 vB;
+    uniform sampler2D uPressure;
+    uniform sampler2D uDivergence;
+    uniform sampler2D uObstacles;
+    uniform float hsq;
+    void main () {
+      float L = texture2D(uPressure, vL).x;
+      float R = texture2D(uPressure, vR).x;
+      float T = texture2D(uPressure, vT).x;
+      float B = texture2D(uPressure, vB).x;
+      float C = texture2D(uPressure, vUv).x;
+      if (texture2D(uObstacles, vL).x > 0.5) L = C;
+      if (texture2D(uObstacles, vR).x > 0.5) R = C;
+      if (texture2D(uObstacles, vT).x > 0.5) T = C;
+      if (texture2D(uObstacles, vB).x > 0.5) B = C;
+      float laplacian = (L + R + T + B - 4.0 * C) / hsq;
+      gl_FragColor = vec4(texture2D(uDivergence, vUv).x - laplacian, 0.0, 0.0, 1.0);
+    }
+  `);
+
+  // Box-filters the 2×2 fine cells under each coarse cell
+  const restrictShader = compileShader(gl.FRAGMENT_SHADER, `
+    precision highp float;
+    precision highp sampler2D;
+    varying vec2 vUv;
+    uniform sampler2D uTexture;
+    uniform vec2 fineTexelSize;
+    void main () {
+      vec2 o = 0.5 * fineTexelSize;
+      float sum = texture2D(uTexture, vUv + vec2(-o.x, -o.y)).x;
+      sum += texture2D(uTexture, vUv + vec2( o.x, -o.y)).x;
+      sum += texture2D(uTexture, vUv + vec2(-o.x,  o.y)).x;
+      sum += texture2D(uTexture, vUv + vec2( o.x,  o.y)).x;
+      gl_FragColor = vec4(0.25 * sum, 0.0, 0.0, 1.0);
+    }
+  `);
+
+  // Adds the bilinearly interpolated coarse-grid correction to the fine pressure
+  const prolongShader = compileShader(gl.FRAGMENT_SHADER, `
+    precision highp float;
+    precision highp sampler2D;
+    varying vec2 vUv;
+    uniform sampler2D uPressure;
+    uniform sampler2D uCorrection;
+    uniform vec2 coarseTexelSize;
+    float bilerp (sampler2D sam, vec2 uv, vec2 tsize) {
+      vec2 st = uv / tsize - 0.5;
+      vec2 iuv = floor(st);
+      vec2 fuv = fract(st);
+      float a = texture2D(sam, (iuv + vec2(0.5, 0.5)) * tsize).x;
+      float b = texture2D(sam, (iuv + vec2(1.5, 0.5)) * tsize).x;
+      float c = texture2D(sam, (iuv + vec2(0.5, 1.5)) * tsize).x;
+      float d = texture2D(sam, (iuv + vec2(1.5, 1.5)) * tsize).x;
+      return mix(mix(a, b, fuv.x), mix(c, d, fuv.x), fuv.y);
+    }
+    void main () {
+      float p = texture2D(uPressure, vUv).x + bilerp(uCorrection, vUv, coarseTexelSize);
+      gl_FragColor = vec4(p, 0.0, 0.0, 1.0);
     }
   `);
 
@@ -341,54 +1440,90 @@
     varying highp vec2 vB;
     uniform sampler2D uPressure;
     uniform sampler2D uVelocity;
+    uniform sampler2D uObstacles;
     void main () {
+      if (texture2D(uObstacles, vUv).x > 0.5) {
+        gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+        return;
+      }
+      float C = texture2D(uPressure, vUv).x;
       float L = texture2D(uPressure, vL).x;
       float R = texture2D(uPressure, vR).x;
       float T = texture2D(uPressure, vT).x;
       float B = texture2D(uPressure, vB).x;
+      if (texture2D(uObstacles, vL).x > 0.5) L = C;
+      if (texture2D(uObstacles, vR).x > 0.5) R = C;
+      if (texture2D(uObstacles, vT).x > 0.5) T = C;
+      if (texture2D(uObstacles, vB).x > 0.5) B = C;
       vec2 velocity = texture2D(uVelocity, vUv).xy;
       velocity.xy -= vec2(R - L, T - B);
       gl_FragColor = vec4(velocity, 0.0, 1.0);
     }
   `);
 
-  function compileShader (type, source) {
-    const shader = gl.createShader(type);
-    gl.shaderSource(shader, source);
-    gl.compileShader(shader);
-    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-      console.error(gl.getShaderInfoLog(shader));
-      gl.deleteShader(shader);
-      return null;
-    }
+  function compileShader (type, source, keywords) {
+    const shader = { type, source: addKeywords(source, keywords), handle: null };
+    shaders.push(shader);
+    buildShader(shader);
     return shader;
   }
 
+  function buildShader (shader) {
+    const handle = gl.createShader(shader.type);
+    gl.shaderSource(handle, shader.source);
+    gl.compileShader(handle);
+    // A lost context reports every status as false; that's not the shader's fault
+    if (!gl.getShaderParameter(handle, gl.COMPILE_STATUS) && !gl.isContextLost()) {
+      console.error(gl.getShaderInfoLog(handle));
+      gl.deleteShader(handle);
+      shader.handle = null;
+      shaderFailed = true;
+      return;
+    }
+    shader.handle = handle;
+  }
+
+  function addKeywords (source, keywords) {
+    if (!keywords || keywords.length === 0) return source;
+    return keywords.map((k) => '#define ' + k + '\n').join('') + source;
+  }
+
   // ─── Programs ──────────────────────────────────────────────────
 
   function createProgram (vertexShader, fragmentShader) {
+    if (!vertexShader.handle || !fragmentShader.handle) return null;
     const program = gl.createProgram();
-    gl.attachShader(program, vertexShader);
-    gl.attachShader(program, fragmentShader);
+    gl.attachShader(program, vertexShader.handle);
+    gl.attachShader(program, fragmentShader.handle);
     gl.linkProgram(program);
-    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS) && !gl.isContextLost()) {
       console.error(gl.getProgramInfoLog(program));
+      gl.deleteProgram(program);
+      shaderFailed = true;
       return null;
     }
     return program;
   }
 
   function Program (vertexShader, fragmentShader) {
-    this.program = createProgram(vertexShader, fragmentShader);
-    this.uniforms = getUniforms(this.program);
+    this.vertexShader = vertexShader;
+    this.fragmentShader = fragmentShader;
+    programs.push(this);
+    this.build();
   }
 
+  Program.prototype.build = function () {
+    this.program = createProgram(this.vertexShader, this.fragmentShader);
+    this.uniforms = getUniforms(this.program);
+  };
+
   Program.prototype.bind = function () {
     gl.useProgram(this.program);
   };
 
   function getUniforms (program) {
     const uniforms = {};
+    if (!program) return uniforms;
     const count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
     for (let i = 0; i < count; i++) {
       const info = gl.getActiveUniform(program, i);
@@ -398,36 +1533,68 @@
   }
 
   const clearProgram            = new Program(baseVertexShader, clearShader);
-  const displayProgram          = new Program(baseVertexShader, displayShader);
+  const copyProgram             = new Program(baseVertexShader, copyShader);
   const splatProgram            = new Program(baseVertexShader, splatShader);
+  const stampProgram            = new Program(baseVertexShader, stampShader);
   const advectionProgram        = new Program(baseVertexShader, advectionShader);
   const divergenceProgram       = new Program(baseVertexShader, divergenceShader);
   const curlProgram             = new Program(baseVertexShader, curlShader);
   const vorticityProgram        = new Program(baseVertexShader, vorticityShader);
+  const shearProgram            = new Program(baseVertexShader, shearShader);
+  const buoyancyProgram         = new Program(baseVertexShader, buoyancyShader);
   const pressureProgram         = new Program(baseVertexShader, pressureShader);
   const gradientSubtractProgram = new Program(baseVertexShader, gradientSubtractShader);
+  const residualProgram         = new Program(baseVertexShader, residualShader);
+  const restrictProgram         = new Program(baseVertexShader, restrictShader);
+  const prolongProgram          = new Program(baseVertexShader, prolongShader);
+  const bloomPrefilterProgram   = new Program(baseVertexShader, bloomPrefilterShader);
+  const bloomBlurProgram        = new Program(baseVertexShader, bloomBlurShader);
+  const bloomFinalProgram       = new Program(baseVertexShader, bloomFinalShader);
+  const blurProgram             = new Program(blurVertexShader, blurShader);
+  const sunraysMaskProgram      = new Program(baseVertexShader, sunraysMaskShader);
+  const sunraysProgram          = new Program(baseVertexShader, sunraysShader);
+  const debugProgram            = new Program(baseVertexShader, debugShader);
+
+  // Display variants keyed by their #define set, built the first time a
+  // config combination is rendered.
+  const displayPrograms = {};
+
+  function getDisplayProgram () {
+    const keywords = [];
+    if (config.SUNRAYS && sunrays) keywords.push('SUNRAYS');
+    if (config.BLOOM && bloomFramebuffers.length >= 2) keywords.push('BLOOM');
+    const key = keywords.join(',');
+    if (!displayPrograms[key]) {
+      const shader = compileShader(gl.FRAGMENT_SHADER, displayShaderSource, keywords);
+      displayPrograms[key] = new Program(baseVertexShader, shader);
+    }
+    return displayPrograms[key];
+  }
 
   // ─── Geometry ──────────────────────────────────────────────────
 
-  const blit = (() => {
+  // The quad stays bound for the lifetime of the context
+  function initGeometry () {
     gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
     gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, -1, 1, 1, 1, 1, -1]), gl.STATIC_DRAW);
     gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, gl.createBuffer());
     gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array([0, 1, 2, 0, 2, 3]), gl.STATIC_DRAW);
     gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
     gl.enableVertexAttribArray(0);
+  }
 
-    return (target) => {
-      if (target == null) {
-        gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-      } else {
-        gl.viewport(0, 0, target.width, target.height);
-        gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
-      }
-      gl.drawElements(gl.TRIANGLES, 6, gl.UNSIGNED_SHORT, 0);
-    };
-  })();
+  function blit (target) {
+    if (target == null) {
+      gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    } else {
+      gl.viewport(0, 0, target.width, target.height);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+    }
+    gl.drawElements(gl.TRIANGLES, 6, gl.UNSIGNED_SHORT, 0);
+  }
+
+  initGeometry();
 
   // ─── Framebuffers ──────────────────────────────────────────────
 
@@ -452,6 +1619,8 @@
       fbo,
       width: w,
       height: h,
+      texelSizeX: 1.0 / w,
+      texelSizeY: 1.0 / h,
       attach (id) {
         gl.activeTexture(gl.TEXTURE0 + id);
         gl.bindTexture(gl.TEXTURE_2D, texture);
@@ -476,6 +1645,33 @@
     };
   }
 
+  function destroyFBO (target) {
+    gl.deleteTexture(target.texture);
+    gl.deleteFramebuffer(target.fbo);
+  }
+
+  function destroyDoubleFBO (target) {
+    destroyFBO(target.read);
+    destroyFBO(target.write);
+  }
+
+  // Resample an existing double FBO into one of a new size. Channels are
+  // multiplied by `scale`, which lets velocity keep its speed in texels per
+  // second when the grid changes shape.
+  function resizeDoubleFBO (target, w, h, internalFormat, format, type, filtering, scale) {
+    if (target.width === w && target.height === h) return target;
+
+    const resized = createDoubleFBO(w, h, internalFormat, format, type, filtering);
+    gl.disable(gl.BLEND);
+    copyProgram.bind();
+    gl.uniform4f(copyProgram.uniforms.scale, scale[0], scale[1], scale[2], scale[3]);
+    gl.uniform1i(copyProgram.uniforms.uTexture, target.read.attach(0));
+    blit(resized.read);
+
+    destroyDoubleFBO(target);
+    return resized;
+  }
+
   function getResolution (resolution) {
     let aspectRatio = gl.drawingBufferWidth / gl.drawingBufferHeight;
     if (aspectRatio < 1) aspectRatio = 1.0 / aspectRatio;
@@ -486,7 +1682,11 @@
       : { width: min, height: max };
   }
 
-  let dye, velocity, divergence, curl, pressure;
+  let dye, velocity, temperature, divergence, curl, pressure;
+  let bloom;
+  const bloomFramebuffers = [];
+  let sunrays, sunraysTemp;
+  const multigridLevels = [];
 
   function initFramebuffers () {
     const simRes = getResolution(config.SIM_RESOLUTION);
@@ -498,76 +1698,184 @@
     const r       = ext.formatR;
     const filtering = ext.supportLinearFiltering ? gl.LINEAR : gl.NEAREST;
 
-    if (!rgba || !rg) return;
+    if (!dye) {
+      dye         = createDoubleFBO(dyeRes.width, dyeRes.height, rgba.internalFormat, rgba.format, texType, filtering);
+      velocity    = createDoubleFBO(simRes.width, simRes.height, rg.internalFormat, rg.format, texType, filtering);
+      temperature = createDoubleFBO(simRes.width, simRes.height, r.internalFormat, r.format, texType, filtering);
+    } else {
+      // Carry the running simulation over instead of starting from black
+      const scaleX = simRes.width / velocity.width;
+      const scaleY = simRes.height / velocity.height;
+      dye         = resizeDoubleFBO(dye, dyeRes.width, dyeRes.height, rgba.internalFormat, rgba.format, texType, filtering, [1, 1, 1, 1]);
+      velocity    = resizeDoubleFBO(velocity, simRes.width, simRes.height, rg.internalFormat, rg.format, texType, filtering, [scaleX, scaleY, 1, 1]);
+      temperature = resizeDoubleFBO(temperature, simRes.width, simRes.height, r.internalFormat, r.format, texType, filtering, [1, 1, 1, 1]);
+    }
 
-    dye        = createDoubleFBO(dyeRes.width, dyeRes.height, rgba.internalFormat, rgba.format, texType, filtering);
-    velocity   = createDoubleFBO(simRes.width, simRes.height, rg.internalFormat, rg.format, texType, filtering);
+    // Scratch targets are rebuilt every frame, so they are simply replaced
+    if (divergence) destroyFBO(divergence);
+    if (curl) destroyFBO(curl);
+    if (pressure) destroyDoubleFBO(pressure);
     divergence = createFBO(simRes.width, simRes.height, r.internalFormat, r.format, texType, gl.NEAREST);
     curl       = createFBO(simRes.width, simRes.height, r.internalFormat, r.format, texType, gl.NEAREST);
     pressure   = createDoubleFBO(simRes.width, simRes.height, r.internalFormat, r.format, texType, gl.NEAREST);
+
+    initBloomFramebuffers();
+    initSunraysFramebuffers();
+    initMultigridFramebuffers();
+    obstaclesDirty = true;
   }
 
-  resizeCanvas();
-  initFramebuffers();
+  function initBloomFramebuffers () {
+    if (bloom) destroyFBO(bloom);
+    bloomFramebuffers.forEach(destroyFBO);
+    bloomFramebuffers.length = 0;
+    bloom = null;
+    if (!ext.supportLinearFiltering) return;
 
-  // ─── Pointer Tracking ─────────────────────────────────────────
+    const res = getResolution(config.BLOOM_RESOLUTION);
+    const texType = ext.halfFloatTexType;
+    const rgba = ext.formatRGBA;
 
-  const pointers = [{ id: -1, texcoordX: 0, texcoordY: 0, prevTexcoordX: 0, prevTexcoordY: 0, deltaX: 0, deltaY: 0, down: false, moved: false, color: { r: 0, g: 0, b: 0 } }];
+    bloom = createFBO(res.width, res.height, rgba.internalFormat, rgba.format, texType, gl.LINEAR);
 
-  canvas.style.pointerEvents = 'none';
+    // Each level halves the previous one; stop before a level collapses
+    for (let i = 0; i < config.BLOOM_ITERATIONS; i++) {
+      const width = res.width >> (i + 1);
+      const height = res.height >> (i + 1);
+      if (width < 2 || height < 2) break;
+      bloomFramebuffers.push(createFBO(width, height, rgba.internalFormat, rgba.format, texType, gl.LINEAR));
+    }
+  }
 
-  window.addEventListener('pointermove', (e) => {
-    const p = pointers[0];
-    p.prevTexcoordX = p.texcoordX;
-    p.prevTexcoordY = p.texcoordY;
-    p.texcoordX = e.clientX / canvas.clientWidth;
-    p.texcoordY = 1.0 - e.clientY / canvas.clientHeight;
-    p.deltaX = correctDeltaX(p.texcoordX - p.prevTexcoordX);
-    p.deltaY = correctDeltaY(p.texcoordY - p.prevTexcoordY);
-    p.moved = Math.abs(p.deltaX) > 0 || Math.abs(p.deltaY) > 0;
-    p.down = true;
-  });
+  function initSunraysFramebuffers () {
+    if (sunrays) destroyFBO(sunrays);
+    if (sunraysTemp) destroyFBO(sunraysTemp);
 
-  window.addEventListener('touchmove', (e) => {
-    const touch = e.touches[0];
-    const p = pointers[0];
-    p.prevTexcoordX = p.texcoordX;
-    p.prevTexcoordY = p.texcoordY;
-    p.texcoordX = touch.clientX / canvas.clientWidth;
-    p.texcoordY = 1.0 - touch.clientY / canvas.clientHeight;
-    p.deltaX = correctDeltaX(p.texcoordX - p.prevTexcoordX);
-    p.deltaY = correctDeltaY(p.texcoordY - p.prevTexcoordY);
-    p.moved = Math.abs(p.deltaX) > 0 || Math.abs(p.deltaY) > 0;
-    p.down = true;
-  }, { passive: true });
+    const res = getResolution(config.SUNRAYS_RESOLUTION);
+    const texType = ext.halfFloatTexType;
+    const r = ext.formatR;
+    const filtering = ext.supportLinearFiltering ? gl.LINEAR : gl.NEAREST;
 
-  function correctDeltaX (delta) {
-    const aspectRatio = canvas.width / canvas.height;
-    return aspectRatio < 1 ? delta * aspectRatio : delta;
+    sunrays     = createFBO(res.width, res.height, r.internalFormat, r.format, texType, filtering);
+    sunraysTemp = createFBO(res.width, res.height, r.internalFormat, r.format, texType, filtering);
   }
 
-  function correctDeltaY (delta) {
-    const aspectRatio = canvas.width / canvas.height;
-    return aspectRatio > 1 ? delta / aspectRatio : delta;
+  // Level 0 is the sim grid itself (pressure + divergence); each further level
+  // halves it until the short side would drop below 4 cells.
+  function initMultigridFramebuffers () {
+    for (let i = 1; i < multigridLevels.length; i++) {
+      destroyDoubleFBO(multigridLevels[i].pressure);
+      destroyFBO(multigridLevels[i].rhs);
+    }
+    multigridLevels.forEach((level) => {
+      if (level.residual) destroyFBO(level.residual);
+    });
+    multigridLevels.length = 0;
+
+    if (config.PRESSURE_SOLVER !== 'multigrid') return;
+
+    const texType = ext.halfFloatTexType;
+    const r = ext.formatR;
+    let width = pressure.width;
+    let height = pressure.height;
+
+    multigridLevels.push({ pressure, rhs: divergence, hsq: 1, residual: null });
+
+    while (Math.min(width, height) >= 8) {
+      width = Math.ceil(width / 2);
+      height = Math.ceil(height / 2);
+      multigridLevels.push({
+        pressure: createDoubleFBO(width, height, r.internalFormat, r.format, texType, gl.NEAREST),
+        rhs: createFBO(width, height, r.internalFormat, r.format, texType, gl.NEAREST),
+        hsq: (pressure.width / width) * (pressure.height / height),
+        residual: null,
+      });
+    }
+
+    // Every level but the coarsest restricts its residual downwards
+    for (let i = 0; i < multigridLevels.length - 1; i++) {
+      const level = multigridLevels[i];
+      level.residual = createFBO(level.pressure.width, level.pressure.height, r.internalFormat, r.format, texType, gl.NEAREST);
+    }
   }
 
-  // ─── Auto-splats (ambient motion) ─────────────────────────────
+  // ─── Obstacles ────────────────────────────────────────────────
+
+  // Rasterised on the CPU at sim resolution from element bounding rects, then
+  // uploaded as a single-channel mask (1 = solid). Dye is sampled against the
+  // same normalised coordinates, so one mask serves every pass.
+  const obstacleCanvas = document.createElement('canvas');
+  const obstacleCtx = obstacleCanvas.getContext('2d');
+  let obstacleTexture;
+  let obstaclesDirty = true;
+
+  function initObstacleTexture () {
+    obstacleTexture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, obstacleTexture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([0, 0, 0, 255]));
+    obstaclesDirty = true;
+  }
 
-  let autoSplatTimer = 0;
+  initObstacleTexture();
 
-  function autoSplat (dt) {
-    autoSplatTimer += dt;
-    if (autoSplatTimer > 0.4) {
-      autoSplatTimer = 0;
-      const x = Math.random();
-      const y = Math.random();
-      const dx = (Math.random() - 0.5) * 0.0003;
-      const dy = (Math.random() - 0.5) * 0.0003;
-      const color = getRandomColor();
-      splat(x, y, dx, dy, color);
+  const obstacles = {
+    attach (id) {
+      gl.activeTexture(gl.TEXTURE0 + id);
+      gl.bindTexture(gl.TEXTURE_2D, obstacleTexture);
+      return id;
+    },
+  };
+
+  function updateObstacles () {
+    obstaclesDirty = false;
+    if (!velocity) return;
+
+    const w = velocity.width;
+    const h = velocity.height;
+    if (obstacleCanvas.width !== w || obstacleCanvas.height !== h) {
+      obstacleCanvas.width = w;
+      obstacleCanvas.height = h;
     }
+
+    obstacleCtx.fillStyle = '#000';
+    obstacleCtx.fillRect(0, 0, w, h);
+
+    if (config.OBSTACLES) {
+      const scaleX = w / canvas.clientWidth;
+      const scaleY = h / canvas.clientHeight;
+      const pad = config.OBSTACLE_PADDING;
+      obstacleCtx.fillStyle = '#fff';
+      document.querySelectorAll(config.OBSTACLE_SELECTOR).forEach((el) => {
+        const rect = el.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return;
+        if (rect.bottom < 0 || rect.top > canvas.clientHeight) return;
+        obstacleCtx.fillRect(
+          (rect.left - pad) * scaleX,
+          (rect.top - pad) * scaleY,
+          (rect.width + pad * 2) * scaleX,
+          (rect.height + pad * 2) * scaleY
+        );
+      });
+    }
+
+    // Canvas rows run top-down, texture v runs bottom-up
+    gl.bindTexture(gl.TEXTURE_2D, obstacleTexture);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, obstacleCanvas);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+  }
+
+  function markObstaclesDirty () {
+    obstaclesDirty = true;
   }
 
+  window.addEventListener('scroll', markObstaclesDirty, { passive: true });
+  window.addEventListener('resize', markObstaclesDirty);
+
   // ─── Simulation Step ──────────────────────────────────────────
 
   function step (dt) {
@@ -589,10 +1897,24 @@
     blit(velocity.write);
     velocity.swap();
 
+    // Buoyancy
+    if (config.TEMPERATURE) {
+      buoyancyProgram.bind();
+      gl.uniform1i(buoyancyProgram.uniforms.uVelocity, velocity.read.attach(0));
+      gl.uniform1i(buoyancyProgram.uniforms.uTemperature, temperature.read.attach(1));
+      gl.uniform1i(buoyancyProgram.uniforms.uDensity, dye.read.attach(2));
+      gl.uniform1f(buoyancyProgram.uniforms.buoyancy, config.BUOYANCY * velocity.height);
+      gl.uniform1f(buoyancyProgram.uniforms.gravity, config.GRAVITY * velocity.height);
+      gl.uniform1f(buoyancyProgram.uniforms.dt, dt);
+      blit(velocity.write);
+      velocity.swap();
+    }
+
     // Divergence
     divergenceProgram.bind();
     gl.uniform2f(divergenceProgram.uniforms.texelSize, velocity.texelSizeX, velocity.texelSizeY);
     gl.uniform1i(divergenceProgram.uniforms.uVelocity, velocity.read.attach(0));
+    gl.uniform1i(divergenceProgram.uniforms.uObstacles, obstacles.attach(1));
     blit(divergence);
 
     // Clear pressure
@@ -602,14 +1924,13 @@
     blit(pressure.write);
     pressure.swap();
 
-    // Pressure solve (Jacobi iteration)
-    pressureProgram.bind();
-    gl.uniform2f(pressureProgram.uniforms.texelSize, velocity.texelSizeX, velocity.texelSizeY);
-    gl.uniform1i(pressureProgram.uniforms.uDivergence, divergence.attach(0));
-    for (let i = 0; i < config.PRESSURE_ITERATIONS; i++) {
-      gl.uniform1i(pressureProgram.uniforms.uPressure, pressure.read.attach(1));
-      blit(pressure.write);
-      pressure.swap();
+    // Pressure solve
+    if (config.PRESSURE_SOLVER === 'multigrid' && multigridLevels.length > 1) {
+      for (let i = 0; i < config.MULTIGRID_CYCLES; i++) {
+        vCycle(0);
+      }
+    } else {
+      relaxPressure(pressure, divergence, 1, 1.0, config.PRESSURE_ITERATIONS);
     }
 
     // Gradient subtract
@@ -617,6 +1938,7 @@
     gl.uniform2f(gradientSubtractProgram.uniforms.texelSize, velocity.texelSizeX, velocity.texelSizeY);
     gl.uniform1i(gradientSubtractProgram.uniforms.uPressure, pressure.read.attach(0));
     gl.uniform1i(gradientSubtractProgram.uniforms.uVelocity, velocity.read.attach(1));
+    gl.uniform1i(gradientSubtractProgram.uniforms.uObstacles, obstacles.attach(2));
     blit(velocity.write);
     velocity.swap();
 
@@ -629,11 +1951,22 @@
     const velocityId = velocity.read.attach(0);
     gl.uniform1i(advectionProgram.uniforms.uVelocity, velocityId);
     gl.uniform1i(advectionProgram.uniforms.uSource, velocityId);
+    gl.uniform1i(advectionProgram.uniforms.uObstacles, obstacles.attach(2));
     gl.uniform1f(advectionProgram.uniforms.dt, dt);
     gl.uniform1f(advectionProgram.uniforms.dissipation, config.VELOCITY_DISSIPATION);
     blit(velocity.write);
     velocity.swap();
 
+    // Advect temperature; it shares the velocity grid
+    if (config.TEMPERATURE) {
+      gl.uniform2f(advectionProgram.uniforms.dyeTexelSize, velocity.texelSizeX, velocity.texelSizeY);
+      gl.uniform1i(advectionProgram.uniforms.uVelocity, velocity.read.attach(0));
+      gl.uniform1i(advectionProgram.uniforms.uSource, temperature.read.attach(1));
+      gl.uniform1f(advectionProgram.uniforms.dissipation, config.TEMPERATURE_DISSIPATION);
+      blit(temperature.write);
+      temperature.swap();
+    }
+
     // Advect dye
     gl.uniform2f(advectionProgram.uniforms.dyeTexelSize, dye.texelSizeX, dye.texelSizeY);
     gl.uniform1i(advectionProgram.uniforms.uVelocity, velocity.read.attach(0));
@@ -643,14 +1976,172 @@
     dye.swap();
   }
 
+  // Jacobi sweeps of the Poisson equation; omega < 1 damps them, which is
+  // what makes Jacobi a usable smoother inside the V-cycle.
+  function relaxPressure (target, rhs, hsq, omega, iterations) {
+    pressureProgram.bind();
+    gl.uniform2f(pressureProgram.uniforms.texelSize, target.texelSizeX, target.texelSizeY);
+    gl.uniform1f(pressureProgram.uniforms.hsq, hsq);
+    gl.uniform1f(pressureProgram.uniforms.omega, omega);
+    gl.uniform1i(pressureProgram.uniforms.uDivergence, rhs.attach(0));
+    gl.uniform1i(pressureProgram.uniforms.uObstacles, obstacles.attach(2));
+    for (let i = 0; i < iterations; i++) {
+      gl.uniform1i(pressureProgram.uniforms.uPressure, target.read.attach(1));
+      blit(target.write);
+      target.swap();
+    }
+  }
+
+  // One multigrid V-cycle: smooth, restrict the residual, solve for the error
+  // on the coarser grid, interpolate it back and smooth again. Most of the
+  // work happens on grids a quarter the size or smaller, so a cycle costs
+  // about seven sim-resolution passes.
+  function vCycle (index) {
+    const level = multigridLevels[index];
+
+    if (index === multigridLevels.length - 1) {
+      relaxPressure(level.pressure, level.rhs, level.hsq, 1.0, config.MULTIGRID_COARSE_ITERATIONS);
+      return;
+    }
+
+    const coarse = multigridLevels[index + 1];
+
+    relaxPressure(level.pressure, level.rhs, level.hsq, 0.8, config.MULTIGRID_SMOOTHING);
+
+    residualProgram.bind();
+    gl.uniform2f(residualProgram.uniforms.texelSize, level.pressure.texelSizeX, level.pressure.texelSizeY);
+    gl.uniform1f(residualProgram.uniforms.hsq, level.hsq);
+    gl.uniform1i(residualProgram.uniforms.uPressure, level.pressure.read.attach(0));
+    gl.uniform1i(residualProgram.uniforms.uDivergence, level.rhs.attach(1));
+    gl.uniform1i(residualProgram.uniforms.uObstacles, obstacles.attach(2));
+    blit(level.residual);
+
+    restrictProgram.bind();
+    gl.uniform2f(restrictProgram.uniforms.fineTexelSize, level.residual.texelSizeX, level.residual.texelSizeY);
+    gl.uniform1i(restrictProgram.uniforms.uTexture, level.residual.attach(0));
+    blit(coarse.rhs);
+
+    // The coarse grid solves for the error, starting from zero
+    clearProgram.bind();
+    gl.uniform1i(clearProgram.uniforms.uTexture, coarse.pressure.read.attach(0));
+    gl.uniform1f(clearProgram.uniforms.value, 0.0);
+    blit(coarse.pressure.write);
+    coarse.pressure.swap();
+
+    vCycle(index + 1);
+
+    prolongProgram.bind();
+    gl.uniform2f(prolongProgram.uniforms.coarseTexelSize, coarse.pressure.texelSizeX, coarse.pressure.texelSizeY);
+    gl.uniform1i(prolongProgram.uniforms.uPressure, level.pressure.read.attach(0));
+    gl.uniform1i(prolongProgram.uniforms.uCorrection, coarse.pressure.read.attach(1));
+    blit(level.pressure.write);
+    level.pressure.swap();
+
+    relaxPressure(level.pressure, level.rhs, level.hsq, 0.8, config.MULTIGRID_SMOOTHING);
+  }
+
   function render (target) {
-    displayProgram.bind();
-    gl.uniform3f(displayProgram.uniforms.backColor, config.BACK_COLOR.r, config.BACK_COLOR.g, config.BACK_COLOR.b);
-    gl.uniform1i(displayProgram.uniforms.uTexture, dye.read.attach(0));
+    const useBloom = config.BLOOM && bloomFramebuffers.length >= 2;
+    if (useBloom) {
+      applyBloom(dye.read, bloom);
+    }
+
+    const useSunrays = config.SUNRAYS && !!sunrays;
+    if (useSunrays) {
+      // dye.write is free between steps, so it doubles as the mask target
+      applySunrays(dye.read, dye.write, sunrays);
+      blur(sunrays, sunraysTemp, 1);
+    }
+
+    gl.disable(gl.BLEND);
+    const program = getDisplayProgram();
+    program.bind();
+    gl.uniform3f(program.uniforms.backColor, config.BACK_COLOR.r, config.BACK_COLOR.g, config.BACK_COLOR.b);
+    gl.uniform1i(program.uniforms.uTexture, dye.read.attach(0));
+    if (useBloom) {
+      gl.uniform1i(program.uniforms.uBloom, bloom.attach(1));
+    }
+    if (useSunrays) {
+      gl.uniform1i(program.uniforms.uSunrays, sunrays.attach(2));
+    }
     blit(target);
   }
 
-  function splat (x, y, dx, dy, color) {
+  function applySunrays (source, mask, destination) {
+    gl.disable(gl.BLEND);
+
+    sunraysMaskProgram.bind();
+    gl.uniform1i(sunraysMaskProgram.uniforms.uTexture, source.attach(0));
+    blit(mask);
+
+    sunraysProgram.bind();
+    gl.uniform1f(sunraysProgram.uniforms.weight, config.SUNRAYS_WEIGHT);
+    gl.uniform1i(sunraysProgram.uniforms.uTexture, mask.attach(0));
+    blit(destination);
+  }
+
+  function blur (target, temp, iterations) {
+    blurProgram.bind();
+    for (let i = 0; i < iterations; i++) {
+      gl.uniform2f(blurProgram.uniforms.texelSize, target.texelSizeX, 0.0);
+      gl.uniform1i(blurProgram.uniforms.uTexture, target.attach(0));
+      blit(temp);
+
+      gl.uniform2f(blurProgram.uniforms.texelSize, 0.0, target.texelSizeY);
+      gl.uniform1i(blurProgram.uniforms.uTexture, temp.attach(0));
+      blit(target);
+    }
+  }
+
+  function applyBloom (source, destination) {
+    let last = destination;
+
+    gl.disable(gl.BLEND);
+
+    // Prefilter: keep only what sits above the threshold, with a quadratic
+    // soft knee so the cut-off doesn't band
+    bloomPrefilterProgram.bind();
+    const knee = config.BLOOM_THRESHOLD * config.BLOOM_SOFT_KNEE + 0.0001;
+    const curve0 = config.BLOOM_THRESHOLD - knee;
+    const curve1 = knee * 2;
+    const curve2 = 0.25 / knee;
+    gl.uniform3f(bloomPrefilterProgram.uniforms.curve, curve0, curve1, curve2);
+    gl.uniform1f(bloomPrefilterProgram.uniforms.threshold, config.BLOOM_THRESHOLD);
+    gl.uniform1i(bloomPrefilterProgram.uniforms.uTexture, source.attach(0));
+    blit(last);
+
+    // Downsample chain
+    bloomBlurProgram.bind();
+    for (let i = 0; i < bloomFramebuffers.length; i++) {
+      const dest = bloomFramebuffers[i];
+      gl.uniform2f(bloomBlurProgram.uniforms.texelSize, last.texelSizeX, last.texelSizeY);
+      gl.uniform1i(bloomBlurProgram.uniforms.uTexture, last.attach(0));
+      blit(dest);
+      last = dest;
+    }
+
+    // Upsample back, accumulating each level additively
+    gl.blendFunc(gl.ONE, gl.ONE);
+    gl.enable(gl.BLEND);
+
+    for (let i = bloomFramebuffers.length - 2; i >= 0; i--) {
+      const baseTex = bloomFramebuffers[i];
+      gl.uniform2f(bloomBlurProgram.uniforms.texelSize, last.texelSizeX, last.texelSizeY);
+      gl.uniform1i(bloomBlurProgram.uniforms.uTexture, last.attach(0));
+      blit(baseTex);
+      last = baseTex;
+    }
+
+    gl.disable(gl.BLEND);
+
+    bloomFinalProgram.bind();
+    gl.uniform2f(bloomFinalProgram.uniforms.texelSize, last.texelSizeX, last.texelSizeY);
+    gl.uniform1i(bloomFinalProgram.uniforms.uTexture, last.attach(0));
+    gl.uniform1f(bloomFinalProgram.uniforms.intensity, config.BLOOM_INTENSITY);
+    blit(destination);
+  }
+
+  function splat (x, y, dx, dy, color, heat) {
     splatProgram.bind();
     gl.uniform1i(splatProgram.uniforms.uTarget, velocity.read.attach(0));
     gl.uniform1f(splatProgram.uniforms.aspectRatio, canvas.width / canvas.height);
@@ -664,6 +2155,51 @@
     gl.uniform3f(splatProgram.uniforms.color, color.r, color.g, color.b);
     blit(dye.write);
     dye.swap();
+
+    if (heat > 0 && config.TEMPERATURE) {
+      gl.uniform1i(splatProgram.uniforms.uTarget, temperature.read.attach(0));
+      gl.uniform3f(splatProgram.uniforms.color, heat, 0.0, 0.0);
+      blit(temperature.write);
+      temperature.swap();
+    }
+  }
+
+  // The mask lives only for this one draw, so nothing needs rebuilding after
+  // a context loss.
+  function stamp (s) {
+    const texture = gl.createTexture();
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, s.mask);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+
+    gl.disable(gl.BLEND);
+    stampProgram.bind();
+    gl.uniform1i(stampProgram.uniforms.uTarget, dye.read.attach(0));
+    gl.uniform1i(stampProgram.uniforms.uMask, 1);
+    gl.uniform4f(stampProgram.uniforms.rect, s.x0, s.y0, s.x1, s.y1);
+    gl.uniform3f(stampProgram.uniforms.color, s.color.r, s.color.g, s.color.b);
+    gl.uniform1i(stampProgram.uniforms.luminance, s.luminance ? 1 : 0);
+    blit(dye.write);
+    dye.swap();
+
+    gl.deleteTexture(texture);
+  }
+
+  // `force` is in viewport heights per second; velocity is in sim texels
+  function shear (force) {
+    gl.disable(gl.BLEND);
+    shearProgram.bind();
+    gl.uniform1i(shearProgram.uniforms.uVelocity, velocity.read.attach(0));
+    gl.uniform1f(shearProgram.uniforms.force, force * velocity.height);
+    gl.uniform1f(shearProgram.uniforms.shear, config.SCROLL_SHEAR);
+    blit(velocity.write);
+    velocity.swap();
   }
 
   function correctRadius (radius) {
@@ -671,48 +2207,214 @@
     return aspectRatio > 1 ? radius * aspectRatio : radius;
   }
 
-  // ─── Animation Loop ───────────────────────────────────────────
+  // ─── Debug Views ──────────────────────────────────────────────
 
-  let lastTime = Date.now();
-  let colorTimer = 0;
+  // Base scales bring typical values of each field to roughly ±1; the
+  // overlay's [ ] keys multiply them.
+  const DEBUG_FIELDS = {
+    velocity:    { scale: 0.01, vector: true,  texture: () => velocity.read },
+    pressure:    { scale: 0.1,  vector: false, texture: () => pressure.read },
+    curl:        { scale: 0.05, vector: false, texture: () => curl },
+    divergence:  { scale: 0.2,  vector: false, texture: () => divergence },
+    temperature: { scale: 1,    vector: false, texture: () => temperature.read },
+  };
 
-  function update () {
-    const now = Date.now();
-    let dt = (now - lastTime) / 1000;
-    dt = Math.min(dt, 0.016667);
-    lastTime = now;
+  function renderDebugView (target) {
+    const field = DEBUG_FIELDS[debug.view];
+    gl.disable(gl.BLEND);
+    debugProgram.bind();
+    gl.uniform1i(debugProgram.uniforms.uTexture, field.texture().attach(0));
+    gl.uniform1f(debugProgram.uniforms.scale, field.scale * debug.scale);
+    gl.uniform1i(debugProgram.uniforms.vectorField, field.vector ? 1 : 0);
+    blit(target);
+  }
+
+  // GPU time of the solver step, measured only while the overlay is up.
+  // Results arrive a few frames late; a disjoint event (clock change, GPU
+  // power state) invalidates whatever was in flight.
+  const gpuTimer = { ext: null, pending: [], ms: null };
+
+  function initGpuTimer () {
+    gpuTimer.ext = ext.isWebGL2
+      ? gl.getExtension('EXT_disjoint_timer_query_webgl2')
+      : gl.getExtension('EXT_disjoint_timer_query');
+    gpuTimer.pending.length = 0;
+    gpuTimer.ms = null;
+  }
 
-    if (resizeCanvas()) {
-      initFramebuffers();
+  function beginGpuTimer () {
+    const timer = gpuTimer.ext;
+    if (!timer || gpuTimer.pending.length >= 8) return null;
+    if (ext.isWebGL2) {
+      const query = gl.createQuery();
+      gl.beginQuery(timer.TIME_ELAPSED_EXT, query);
+      return query;
     }
+    const query = timer.createQueryEXT();
+    timer.beginQueryEXT(timer.TIME_ELAPSED_EXT, query);
+    return query;
+  }
 
-    // Pointer splats
-    const p = pointers[0];
-    if (p.moved) {
-      p.moved = false;
-      colorTimer += dt * config.COLOR_UPDATE_SPEED;
-      p.color = getRandomColor();
-      splat(p.texcoordX, p.texcoordY, p.deltaX, p.deltaY, p.color);
+  function endGpuTimer (query) {
+    const timer = gpuTimer.ext;
+    if (ext.isWebGL2) {
+      gl.endQuery(timer.TIME_ELAPSED_EXT);
+    } else {
+      timer.endQueryEXT(timer.TIME_ELAPSED_EXT);
     }
+    gpuTimer.pending.push(query);
+  }
 
-    // Ambient splats
-    autoSplat(dt);
+  function pollGpuTimer () {
+    const timer = gpuTimer.ext;
+    if (!timer) return;
+    const disjoint = gl.getParameter(timer.GPU_DISJOINT_EXT);
+
+    while (gpuTimer.pending.length > 0) {
+      const query = gpuTimer.pending[0];
+      const available = ext.isWebGL2
+        ? gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE)
+        : timer.getQueryObjectEXT(query, timer.QUERY_RESULT_AVAILABLE_EXT);
+      if (!available && !disjoint) break;
+
+      if (!disjoint) {
+        const ns = ext.isWebGL2
+          ? gl.getQueryParameter(query, gl.QUERY_RESULT)
+          : timer.getQueryObjectEXT(query, timer.QUERY_RESULT_EXT);
+        gpuTimer.ms = ns / 1e6;
+      }
+      if (ext.isWebGL2) {
+        gl.deleteQuery(query);
+      } else {
+        timer.deleteQueryEXT(query);
+      }
+      gpuTimer.pending.shift();
+    }
+  }
 
-    step(dt);
-    render(null);
+  initGpuTimer();
 
-    requestAnimationFrame(update);
+  function glName (value) {
+    const names = ['RGBA16F', 'RG16F', 'R16F', 'RGBA32F', 'RG32F', 'R32F', 'RGBA', 'RG', 'RED', 'HALF_FLOAT', 'FLOAT'];
+    for (let i = 0; i < names.length; i++) {
+      if (gl[names[i]] === value) return names[i];
+    }
+    if (value === 0x8D61) return 'HALF_FLOAT_OES';
+    return '0x' + Number(value).toString(16);
   }
 
-  // Initial splats
-  for (let i = 0; i < 4; i++) {
-    const color = getRandomColor();
-    const x = Math.random();
-    const y = Math.random();
-    const dx = (Math.random() - 0.5) * 0.001;
-    const dy = (Math.random() - 0.5) * 0.001;
-    splat(x, y, dx, dy, color);
+  function describe () {
+    pollGpuTimer();
+    const formats = [ext.formatRGBA, ext.formatRG, ext.formatR]
+      .map((f) => (f ? glName(f.internalFormat) : '-'))
+      .join(' / ');
+    const solver = config.PRESSURE_SOLVER === 'multigrid' && multigridLevels.length > 1
+      ? 'multigrid, ' + multigridLevels.length + ' levels × ' + config.MULTIGRID_CYCLES
+      : 'jacobi × ' + config.PRESSURE_ITERATIONS;
+    let gpuStep = 'unsupported';
+    if (gpuTimer.ext) gpuStep = gpuTimer.ms === null ? 'measuring…' : gpuTimer.ms.toFixed(2) + ' ms';
+
+    return [
+      ['backend', (ext.isWebGL2 ? 'webgl2' : 'webgl') + ' · ' + getQuality()],
+      ['gpu step', gpuStep],
+      ['sim', velocity.width + '×' + velocity.height],
+      ['dye', dye.width + '×' + dye.height],
+      ['formats', formats],
+      ['type', glName(ext.halfFloatTexType) + (ext.supportLinearFiltering ? ' · linear' : ' · nearest')],
+      ['solver', solver],
+    ];
   }
 
-  update();
+  // ─── WebGL Backend ────────────────────────────────────────────
+
+  // Keys whose change invalidates allocated buffers or the obstacle mask
+  const FRAMEBUFFER_KEYS = ['SIM_RESOLUTION', 'DYE_RESOLUTION'];
+  const BLOOM_KEYS = ['BLOOM_ITERATIONS', 'BLOOM_RESOLUTION'];
+  const SUNRAYS_KEYS = ['SUNRAYS_RESOLUTION'];
+  const MULTIGRID_KEYS = ['PRESSURE_SOLVER'];
+  const OBSTACLE_KEYS = ['OBSTACLES', 'OBSTACLE_SELECTOR', 'OBSTACLE_PADDING'];
+
+  sim = {
+    name: 'webgl',
+    debugViews: ['dye', 'velocity', 'pressure', 'curl', 'divergence', 'temperature'],
+    splat,
+    stamp,
+    shear,
+    step (dt) {
+      const query = debug.enabled ? beginGpuTimer() : null;
+      step(dt);
+      if (query) endGpuTimer(query);
+    },
+    render () {
+      if (debug.enabled && debug.view !== 'dye') {
+        renderDebugView(null);
+      } else {
+        render(null);
+      }
+      // Display variants compile lazily, so a bad driver can surface here
+      if (shaderFailed) startCpuFallback();
+    },
+    beforeFrame () {
+      if (resizeCanvas()) {
+        initFramebuffers();
+      }
+      if (obstaclesDirty) {
+        updateObstacles();
+      }
+    },
+    describe,
+    rebuild (keys) {
+      const changed = (list) => list.some((k) => keys.indexOf(k) !== -1);
+
+      if (!ext.supportLinearFiltering) config.BLOOM = false;
+
+      if (changed(FRAMEBUFFER_KEYS)) {
+        initFramebuffers();
+      } else {
+        if (changed(BLOOM_KEYS)) initBloomFramebuffers();
+        if (changed(SUNRAYS_KEYS)) initSunraysFramebuffers();
+        if (changed(MULTIGRID_KEYS)) initMultigridFramebuffers();
+      }
+      if (changed(OBSTACLE_KEYS)) obstaclesDirty = true;
+    },
+  };
+
+  // Everything on the GPU died with the old context: re-enable the extensions,
+  // rebuild every shader, program and buffer, and seed a fresh field.
+  function restoreContext () {
+    const restored = getWebGLContext(canvas);
+    if (!restored || !restored.ext.formatRGBA || !restored.ext.formatRG) return false;
+    Object.assign(ext, restored.ext);
+    if (!ext.supportLinearFiltering) config.BLOOM = false;
+
+    shaderFailed = false;
+    shaders.forEach(buildShader);
+    programs.forEach((program) => program.build());
+    if (shaderFailed) return false;
+
+    initGeometry();
+    initObstacleTexture();
+    initGpuTimer();
+
+    // Old handles belong to the lost context — drop them, don't delete them
+    dye = velocity = temperature = divergence = curl = pressure = null;
+    bloom = sunrays = sunraysTemp = null;
+    bloomFramebuffers.length = 0;
+    multigridLevels.length = 0;
+
+    resizeCanvas();
+    initFramebuffers();
+    initialSplats();
+    return true;
+  }
+
+  // A driver that can't compile the solver gets the CPU fallback instead
+  if (shaderFailed) {
+    startCpuFallback();
+    return;
+  }
+
+  resizeCanvas();
+  initFramebuffers();
+  start();
 })();
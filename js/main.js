@@ -6,6 +6,7 @@
  *   - Scroll-triggered fade-in animations
  *   - Smooth scroll for anchor links
  *   - Header background on scroll
+ *   - Intro and section-transition stamps in the fluid background
  */
 
 (function () {
@@ -137,4 +138,47 @@
   );
 
   sections.forEach((section) => sectionObserver.observe(section));
+
+  // ─── Fluid stamps ─────────────────────────────────────────────
+
+  // The fluid (fluid.js) opens with the monogram beside the hero text, and
+  // each section's title is written into the dye behind the heading the
+  // first time it scrolls into view; the flow then carries it off.
+  // Under ?seed= both would land on whatever frame the webfont and the
+  // observer happen to fire on, so the seeded run goes without them.
+  const seeded = window.Deterministic && window.Deterministic.enabled;
+  if (window.Fluid && !seeded) {
+    const stampObserver = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          if (!entry.isIntersecting) return;
+          stampObserver.unobserve(entry.target);
+
+          const title = entry.target.querySelector('.section-title, .contact-title');
+          if (!title) return;
+          const rect = title.getBoundingClientRect();
+          window.Fluid.stamp(title.innerText.replace(/\s+/g, ' '), {
+            x: (rect.left + rect.width / 2) / window.innerWidth,
+            y: (rect.top + rect.height / 2) / window.innerHeight,
+            width: Math.min(0.9, (rect.width * 1.4) / window.innerWidth),
+            color: [0.0, 0.2, 0.1],
+          });
+        });
+      },
+      { threshold: 0.3 }
+    );
+
+    // Stamps are drawn in fluid.js's 700 Inter; drawn before the webfont
+    // arrives they'd come out in the fallback face
+    const stampFont = document.fonts
+      ? document.fonts.load('700 160px Inter').catch(() => {})
+      : Promise.resolve();
+
+    stampFont.then(() => {
+      window.Fluid.stamp('TB', { x: 0.72, y: 0.5, width: 0.3, color: [0.0, 0.3, 0.15] });
+      sections.forEach((section) => {
+        if (section.id !== 'hero') stampObserver.observe(section);
+      });
+    });
+  }
 })();
@@ -0,0 +1,372 @@
+/**
+ * Session recorder for the hero background
+ *
+ * Captures the timestamped input stream (pointer, mouse, click, touch,
+ * scroll) and replays it into the page as synthetic events, so the fluid
+ * (fluid.js), the ASCII butterfly (ascii-renderer.js) and the main.js
+ * interactions all react exactly as they did live. A replay can also be exported as WebM: the fluid
+ * and ASCII canvases are composed into a 2D canvas every frame and
+ * recorded with captureStream() + MediaRecorder, entirely client-side.
+ *
+ * Driven from the console:
+ *
+ *   SessionRecorder.start()               begin capturing input
+ *   SessionRecorder.stop()                end capture, returns the session
+ *   SessionRecorder.replay(session?)      replay (defaults to the last one)
+ *   SessionRecorder.exportVideo(session?) replay and download a .webm
+ *   SessionRecorder.save(session?)        download the session as JSON
+ *   SessionRecorder.load(json)            parse a saved session
+ */
+
+(function () {
+  'use strict';
+
+  const CAPTURED_EVENTS = [
+    'pointerdown', 'pointermove', 'pointerup', 'pointercancel',
+    'mousemove', 'mouseout', 'click',
+    'touchstart', 'touchmove', 'touchend', 'touchcancel',
+    'scroll',
+  ];
+
+  const VIDEO_FPS = 30;
+
+  let session = null;
+  let lastSession = null;
+  let replaying = false;
+
+  // ─── Capture ──────────────────────────────────────────────────
+
+  function capture (e) {
+    // Synthetic replay events and programmatic scrolls are not input
+    if (!session || replaying || !e.isTrusted) return;
+
+    const t = performance.now() - session.startTime;
+
+    if (e.type === 'scroll') {
+      session.events.push({ t, type: 'scroll', y: window.scrollY });
+      return;
+    }
+
+    if (e.type.indexOf('touch') === 0) {
+      const touches = [];
+      for (let i = 0; i < e.changedTouches.length; i++) {
+        const touch = e.changedTouches[i];
+        touches.push({ id: touch.identifier, x: touch.clientX, y: touch.clientY });
+      }
+      session.events.push({ t, type: e.type, touches });
+      return;
+    }
+
+    // Only the mouse leaving the window matters (it stops the butterfly
+    // steering), not every move from one element to the next
+    if (e.type === 'mouseout' && e.relatedTarget) return;
+
+    const entry = { t, type: e.type, x: e.clientX, y: e.clientY, buttons: e.buttons };
+    if (e.type === 'mouseout') entry.left = true;
+    if (e.pointerId !== undefined) {
+      entry.pointerId = e.pointerId;
+      entry.pointerType = e.pointerType;
+    }
+    session.events.push(entry);
+  }
+
+  CAPTURED_EVENTS.forEach((type) => {
+    window.addEventListener(type, capture, { capture: true, passive: true });
+  });
+
+  function start () {
+    session = {
+      version: 1,
+      width: window.innerWidth,
+      height: window.innerHeight,
+      scrollY: window.scrollY,
+      startTime: performance.now(),
+      duration: 0,
+      events: [],
+    };
+  }
+
+  function stop () {
+    if (!session) return lastSession;
+    session.duration = performance.now() - session.startTime;
+    delete session.startTime;
+    lastSession = session;
+    session = null;
+    return lastSession;
+  }
+
+  // ─── Replay ───────────────────────────────────────────────────
+
+  function scrollInstantly (y) {
+    // The page sets scroll-behavior: smooth, which would blur the timing
+    window.scrollTo({ top: y, behavior: 'instant' });
+  }
+
+  // Events go to whatever element sits under the point so hover effects fire,
+  // and bubble up to the document and window listeners of the effects.
+  function dispatch (entry, scaleX, scaleY) {
+    if (entry.type === 'scroll') {
+      scrollInstantly(entry.y);
+      return;
+    }
+
+    if (entry.touches) {
+      if (typeof Touch !== 'function' || typeof TouchEvent !== 'function') return;
+      const touches = entry.touches.map((t) => {
+        const x = t.x * scaleX;
+        const y = t.y * scaleY;
+        return new Touch({
+          identifier: t.id,
+          target: document.elementFromPoint(x, y) || document.body,
+          clientX: x,
+          clientY: y,
+        });
+      });
+      const ended = entry.type === 'touchend' || entry.type === 'touchcancel';
+      const event = new TouchEvent(entry.type, {
+        bubbles: true,
+        cancelable: true,
+        changedTouches: touches,
+        touches: ended ? [] : touches,
+      });
+      touches[0].target.dispatchEvent(event);
+      return;
+    }
+
+    const x = entry.x * scaleX;
+    const y = entry.y * scaleY;
+    const init = { bubbles: true, cancelable: true, clientX: x, clientY: y, buttons: entry.buttons };
+
+    // Leaving the window: no relatedTarget, straight to the document
+    if (entry.type === 'mouseout') {
+      if (entry.left) document.dispatchEvent(new MouseEvent('mouseout', init));
+      return;
+    }
+
+    // A click on a link would navigate, or start a smooth scroll the recorded
+    // scroll events already replay, so clicks only go to the window listeners
+    if (entry.type === 'click') {
+      window.dispatchEvent(new MouseEvent('click', init));
+      return;
+    }
+
+    let event;
+    if (entry.pointerId !== undefined && typeof PointerEvent === 'function') {
+      init.pointerId = entry.pointerId;
+      init.pointerType = entry.pointerType;
+      event = new PointerEvent(entry.type, init);
+    } else {
+      event = new MouseEvent(entry.type, init);
+    }
+    (document.elementFromPoint(x, y) || document).dispatchEvent(event);
+  }
+
+  function replay (data, options) {
+    data = data || lastSession;
+    options = options || {};
+    if (!data) return Promise.reject(new Error('No session to replay'));
+    if (replaying) return Promise.reject(new Error('A replay is already running'));
+
+    // Coordinates are stretched to the current viewport
+    const scaleX = window.innerWidth / data.width;
+    const scaleY = window.innerHeight / data.height;
+
+    let video = null;
+    try {
+      video = options.exportVideo ? startVideoCapture() : null;
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    scrollInstantly(data.scrollY);
+    replaying = true;
+
+    return new Promise((resolve, reject) => {
+      const startTime = performance.now();
+      let index = 0;
+
+      function tick () {
+        const elapsed = performance.now() - startTime;
+        while (index < data.events.length && data.events[index].t <= elapsed) {
+          dispatch(data.events[index], scaleX, scaleY);
+          index++;
+        }
+
+        if (elapsed < data.duration) {
+          requestAnimationFrame(tick);
+          return;
+        }
+
+        replaying = false;
+        if (video) {
+          video.stop().then(resolve, reject);
+        } else {
+          resolve(null);
+        }
+      }
+
+      requestAnimationFrame(tick);
+    });
+  }
+
+  // ─── Video Export ─────────────────────────────────────────────
+
+  function pickMimeType () {
+    const types = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+    for (let i = 0; i < types.length; i++) {
+      if (MediaRecorder.isTypeSupported(types[i])) return types[i];
+    }
+    return '';
+  }
+
+  // The ASCII frame is drawn at the canvas's on-screen position and CSS opacity
+  function drawAscii (ctx, asciiCanvas, frame, scale) {
+    const rect = asciiCanvas.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return;
+
+    ctx.save();
+    ctx.scale(scale, scale);
+    ctx.globalAlpha = parseFloat(getComputedStyle(asciiCanvas).opacity);
+    ctx.drawImage(frame, rect.left, rect.top, rect.width, rect.height);
+    ctx.restore();
+  }
+
+  function startVideoCapture () {
+    if (typeof MediaRecorder !== 'function') {
+      throw new Error('MediaRecorder is not supported in this browser');
+    }
+
+    // Sized from the viewport, not the fluid canvas: the CPU fallback's
+    // backing store is only a few dozen cells across
+    const scale = window.devicePixelRatio || 1;
+    const out = document.createElement('canvas');
+    out.width = Math.round(window.innerWidth * scale);
+    out.height = Math.round(window.innerHeight * scale);
+    const ctx = out.getContext('2d');
+
+    function compose () {
+      ctx.fillStyle = '#050505';
+      ctx.fillRect(0, 0, out.width, out.height);
+      // Looked up every frame: fluid.js swaps in a fresh canvas when it falls
+      // back to the CPU solver or the static background
+      const fluidCanvas = document.getElementById('fluid-canvas');
+      if (fluidCanvas && fluidCanvas.width > 0 && fluidCanvas.height > 0) {
+        ctx.drawImage(fluidCanvas, 0, 0, out.width, out.height);
+      }
+      if (asciiCanvas) drawAscii(ctx, asciiCanvas, asciiFrame, scale);
+    }
+
+    // The ASCII canvas doesn't preserve its drawing buffer either, and draws
+    // from its own rAF callback (or a worker), so each of its frames is
+    // copied out as it lands and composed from the copy.
+    let asciiCanvas = null;
+    const asciiFrame = document.createElement('canvas');
+    const asciiCtx = asciiFrame.getContext('2d');
+    function grabAscii (canvas) {
+      asciiCanvas = canvas;
+      if (asciiFrame.width !== canvas.width || asciiFrame.height !== canvas.height) {
+        asciiFrame.width = canvas.width;
+        asciiFrame.height = canvas.height;
+      } else {
+        asciiCtx.clearRect(0, 0, asciiFrame.width, asciiFrame.height);
+      }
+      asciiCtx.drawImage(canvas, 0, 0);
+    }
+
+    // The WebGL canvas doesn't preserve its drawing buffer, so it has to be
+    // read in the same frame it was drawn — Fluid.onFrame runs right after.
+    let unsubscribe;
+    if (window.Fluid) {
+      unsubscribe = window.Fluid.onFrame(compose);
+    } else {
+      let frame = requestAnimationFrame(function loop () {
+        compose();
+        frame = requestAnimationFrame(loop);
+      });
+      unsubscribe = () => cancelAnimationFrame(frame);
+    }
+
+    const stopGrabbing = window.AsciiArt ? window.AsciiArt.onFrame(grabAscii) : () => {};
+
+    let composing = true;
+    function stopComposing () {
+      if (!composing) return;
+      composing = false;
+      unsubscribe();
+      stopGrabbing();
+    }
+
+    const mimeType = pickMimeType();
+    const recorder = new MediaRecorder(out.captureStream(VIDEO_FPS), mimeType ? { mimeType } : undefined);
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) chunks.push(e.data);
+    };
+
+    // An encoder error ends the recording on its own, possibly before stop()
+    // is called; either way the compose loop goes with it
+    const finished = new Promise((resolve, reject) => {
+      recorder.onstop = () => {
+        stopComposing();
+        resolve(new Blob(chunks, { type: 'video/webm' }));
+      };
+      recorder.onerror = (e) => {
+        stopComposing();
+        reject(e.error || new Error('Recording failed'));
+      };
+    });
+    // Nothing waits on it until stop(); don't report an early error as unhandled
+    finished.catch(() => {});
+
+    recorder.start(250);
+
+    return {
+      stop () {
+        if (recorder.state !== 'inactive') recorder.stop();
+        return finished;
+      },
+    };
+  }
+
+  // ─── Files ────────────────────────────────────────────────────
+
+  function download (blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function exportVideo (data) {
+    return replay(data, { exportVideo: true }).then((blob) => {
+      download(blob, 'hero-session.webm');
+      return blob;
+    });
+  }
+
+  function save (data) {
+    data = data || lastSession;
+    if (!data) return;
+    download(new Blob([JSON.stringify(data)], { type: 'application/json' }), 'hero-session.json');
+  }
+
+  function load (json) {
+    lastSession = typeof json === 'string' ? JSON.parse(json) : json;
+    return lastSession;
+  }
+
+  window.SessionRecorder = {
+    start,
+    stop,
+    replay,
+    exportVideo,
+    save,
+    load,
+    get recording () { return session !== null; },
+    get replaying () { return replaying; },
+  };
+})();